@@ -4,11 +4,18 @@ import TelegramBot from 'node-telegram-bot-api';
 import axios from 'axios';
 import Redis from 'ioredis';
 import PQueue from 'p-queue';
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import { ethers } from 'ethers';
+import WebSocket from 'ws';
 
 const {
   TELEGRAM_TOKEN,
-  GECKO_NETWORK = 'besc-hyperchain',
+  GECKO_NETWORK = 'besc-hyperchain',           // default network for /add without one
   EXPLORER_TX_URL = 'https://explorer.beschyperchain.com/tx/',
+  EXTRA_NETWORKS = '',           // JSON: {"<gecko network id>": {"name": "...", "explorer": "https://…/tx/"}}
   REDIS_URL,
 
   // old var kept for compatibility (we won't use it to spam Gecko anymore)
@@ -21,12 +28,39 @@ const {
 
   // ✅ rate controls (safe defaults)
   GECKO_TICK_MS = '3000',        // 1 onchain request per 3s
-  SCHED_INTERVAL_MS = ''         // if empty, will default to GECKO_TICK_MS
+  SCHED_INTERVAL_MS = '',        // if empty, will default to GECKO_TICK_MS
+  POLL_ACTIVE_MS = '6000',       // fastest per-pool poll interval (pool just traded)
+  POLL_IDLE_MAX_MS = '120000',   // slowest per-pool poll interval (idle pool, fully backed off)
+
+  // ✅ direct on-chain trade source (optional)
+  RPC_URL,                       // http(s) JSON-RPC, polled every RPC_POLL_MS
+  WS_RPC_URL,                    // preferred: websocket JSON-RPC (eth_subscribe)
+  RPC_POLL_MS = '4000',
+  LIQUIDITY_POLL_MS = '60000',   // reserve snapshot interval for liquidity alerts
+  DASHBOARD_URL = '',            // public base URL of this server, enables the web dashboard
+  API_KEYS = '',                 // comma-separated keys for the /api/v1 JSON API
+  WEBHOOKS_ENABLED = 'false',    // operator opt-in for /webhook (outbound HTTPS from this server)
+  WEBHOOK_ALLOWED_HOSTS = '',    // optional comma-separated host allowlist (subdomains match), e.g. discord.com
+  RPC_NETWORK = '',              // GeckoTerminal network the RPC serves (default GECKO_NETWORK); `/add <pool> rpc` tracks pools it doesn't index
+  TRADE_SOURCE = 'auto',         // auto = rpc when an RPC url is set | rpc | gecko
+
+  // max alerts per chat when catching up on a backlog of trades (per poll)
+  CATCHUP_MAX_PER_CHAT = '5',
+
+  // ✅ Telegram outbound limits (Bot API: ~30 msg/s overall, ~20 msg/min per group)
+  TG_GLOBAL_PER_SEC = '25',
+  TG_GROUP_PER_MIN = '20',
+  TG_BACKLOG_MAX = '15',         // queued alerts per chat before they're folded into one summary
+
+  // ✅ multi-instance (Redis only): GeckoTerminal requests/min shared by every instance;
+  // empty = 30 while more than one instance is running, unlimited for a single instance
+  GECKO_MAX_PER_MIN = ''
 } = process.env;
 
 if (!TELEGRAM_TOKEN) throw new Error('Missing TELEGRAM_TOKEN');
 
-const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
+// polling starts once this instance is the leader (see Instance coordination)
+const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: { autoStart: false } });
 const redis = REDIS_URL ? new Redis(REDIS_URL) : null;
 
 /**
@@ -42,7 +76,6 @@ const queue = new PQueue({
 });
 
 const app = express();
-app.get('/healthz', (_, res) => res.send('ok'));
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log('Health server on :' + PORT));
 
@@ -57,13 +90,7 @@ const ONCHAIN_BASE = COINGECKO_API_KEY ? `${COINGECKO_BASE.replace(/\/$/, '')}/o
 
 const memoryStore = new Map();
 
-// State maps for inline flows
-const pendingVideo = new Map();
-const awaitingTokenInput = new Map();
-const awaitingMinBuyInput = new Map();
-const awaitingTierInput = new Map();
-const awaitingRemoveChoice = new Map();
-const compWizard = new Map();
+// Inline flows (typed replies, the pool picker) live in the conversation store (see Conversation state)
 
 // Global error handler to prevent crashes
 process.on('uncaughtException', (err) => {
@@ -74,36 +101,651 @@ process.on('uncaughtException', (err) => {
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function jitter(max = 350) { return Math.floor(Math.random() * max); }
 
+// -------- Metrics registry --------
+// Minimal Prometheus text-format counters/gauges/histograms; served on /metrics (see the end of the file).
+const metricDefs = new Map();   // name -> { type, help, buckets, values: Map(labelKey -> number | histogram) }
+
+function defineMetric(name, type, help, buckets = null) {
+  metricDefs.set(name, { type, help, buckets, values: new Map() });
+}
+
+function metricLabels(labels = {}) {
+  return Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+function incMetric(name, labels = {}, by = 1) {
+  const m = metricDefs.get(name);
+  const key = metricLabels(labels);
+  m.values.set(key, (m.values.get(key) || 0) + by);
+}
+
+function setMetric(name, labels, value) {
+  metricDefs.get(name).values.set(metricLabels(labels), value);
+}
+
+function observeMetric(name, labels, value) {
+  const m = metricDefs.get(name);
+  const key = metricLabels(labels);
+  let h = m.values.get(key);
+  if (!h) {
+    h = { counts: m.buckets.map(() => 0), sum: 0, count: 0 };
+    m.values.set(key, h);
+  }
+  m.buckets.forEach((b, i) => { if (value <= b) h.counts[i]++; });
+  h.sum += value;
+  h.count++;
+}
+
+function renderMetrics() {
+  const out = [];
+  const series = (name, key, extra = '') => `${name}{${[key, extra].filter(Boolean).join(',')}}`.replace('{}', '');
+  for (const [name, m] of metricDefs) {
+    out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [key, v] of m.values) {
+      if (m.type !== 'histogram') {
+        out.push(`${series(name, key)} ${v}`);
+        continue;
+      }
+      m.buckets.forEach((b, i) => out.push(`${series(`${name}_bucket`, key, `le="${b}"`)} ${v.counts[i]}`));
+      out.push(`${series(`${name}_bucket`, key, 'le="+Inf"')} ${v.count}`, `${series(`${name}_sum`, key)} ${v.sum}`, `${series(`${name}_count`, key)} ${v.count}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+defineMetric('buybot_gecko_requests_total', 'counter', 'GeckoTerminal/CoinGecko requests by HTTP status (error = no response, cooldown = skipped)');
+defineMetric('buybot_gecko_cache_total', 'counter', 'httpCache lookups for cacheable requests by result (hit|miss)');
+defineMetric('buybot_gecko_429_streak', 'gauge', 'Consecutive GeckoTerminal 429 responses');
+defineMetric('buybot_gecko_cooldown_seconds', 'gauge', 'Seconds left in the GeckoTerminal rate-limit cooldown');
+defineMetric('buybot_poll_queue_size', 'gauge', 'Jobs waiting in the polling p-queue');
+defineMetric('buybot_poll_queue_pending', 'gauge', 'Jobs running in the polling p-queue');
+defineMetric('buybot_polls_total', 'counter', 'Pool polls by result (ok|failed)');
+defineMetric('buybot_poll_interval_seconds', 'gauge', 'Current adaptive poll interval per pool');
+defineMetric('buybot_last_poll_timestamp_seconds', 'gauge', 'Unix time of the last successful pool poll');
+defineMetric('buybot_alert_latency_seconds', 'histogram', 'Trade block time to Telegram alert delivered, per pool', [2, 5, 10, 20, 30, 60, 120, 300, 600, 1800]);
+defineMetric('buybot_telegram_sends_total', 'counter', 'Telegram sends by result (ok|failed|folded|dropped|skipped)');
+defineMetric('buybot_telegram_retries_total', 'counter', 'Telegram sends retried after a 429');
+defineMetric('buybot_telegram_queue_size', 'gauge', 'Messages waiting in the per-chat send lanes');
+defineMetric('buybot_webhook_queue_size', 'gauge', 'Outbound webhook deliveries waiting');
+defineMetric('buybot_leader', 'gauge', '1 when this instance is the polling leader');
+defineMetric('buybot_chats', 'gauge', 'Chats with a config');
+defineMetric('buybot_pools', 'gauge', 'Distinct pools tracked by active chats');
+
+// -------- Instance coordination (Redis) --------
+// Several instances can run against one Redis: only the leader (leader:poller, renewed every
+// LEADER_TTL_MS / 3) polls Telegram updates, GeckoTerminal and the RPC, and runs the schedulers;
+// the others serve the dashboard/API/metrics and take over when the lock expires.
+// claimOnce() is the atomic dedupe (SET NX) that keeps a trade from being posted twice per chat.
+const INSTANCE_ID = `${process.env.HOSTNAME || 'bot'}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const LEADER_KEY = 'leader:poller';
+const LEADER_TTL_MS = 15000;
+const DEDUPE_TTL_SEC = 24 * 60 * 60;
+const RENEW_LUA = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_LUA = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+const memoryClaims = new Map();   // key -> expires (single instance without Redis), oldest first
+const MEMORY_CLAIMS_MAX = 20000;  // past this the oldest claims go even if unexpired
+let leader = false;
+let liveInstances = 1;              // instances with a fresh heartbeat in the `instances` zset
+
+function isLeader() {
+  return leader;
+}
+
+function setLeader(on) {
+  leader = on;
+  console.log(`[LEADER] ${INSTANCE_ID} ${on ? 'is now the leader' : 'stepped down'}`);
+  if (on) {
+    bot.startPolling().catch(e => console.error('[LEADER] Telegram polling failed to start:', e.message));
+    startSwapListener();
+  } else {
+    bot.stopPolling().catch(e => console.error('[LEADER] Telegram polling failed to stop:', e.message));
+    stopSwapListener();
+  }
+}
+
+async function electLeader() {
+  let won = false;
+  try {
+    if (leader) won = (await redis.eval(RENEW_LUA, 1, LEADER_KEY, INSTANCE_ID, LEADER_TTL_MS)) === 1;
+    if (!won) won = (await redis.set(LEADER_KEY, INSTANCE_ID, 'PX', LEADER_TTL_MS, 'NX')) === 'OK';
+  } catch (e) {
+    // can't prove we still hold the lock: step down rather than risk two pollers
+    console.error('[LEADER] election failed:', e.message);
+  }
+  if (won !== leader) setLeader(won);
+}
+
+// every instance scores itself in `instances`; the count turns the shared GeckoTerminal budget on
+async function heartbeat() {
+  const now = Date.now();
+  try {
+    const [, , [, count]] = await redis.multi()
+      .zadd('instances', now, INSTANCE_ID)
+      .zremrangebyscore('instances', '-inf', now - LEADER_TTL_MS)
+      .zcard('instances')
+      .exec();
+    liveInstances = count;
+  } catch (e) {
+    // keep the last count until Redis is back
+  }
+}
+
+function startInstance() {
+  if (!redis) return setLeader(true);
+  heartbeat();
+  electLeader();
+  setInterval(() => {
+    heartbeat();
+    electLeader();
+  }, LEADER_TTL_MS / 3);
+  setInterval(syncSharedRateState, 1000);
+
+  process.once('SIGTERM', async () => {
+    console.log('[LEADER] SIGTERM, releasing leadership');
+    if (leader) await redis.eval(RELEASE_LUA, 1, LEADER_KEY, INSTANCE_ID).catch(() => {});
+    await redis.zrem('instances', INSTANCE_ID).catch(() => {});
+    await bot.stopPolling().catch(() => {});
+    process.exit(0);
+  });
+}
+
+/** True for the first caller (any instance) within DEDUPE_TTL_SEC. */
+async function claimOnce(key) {
+  if (redis) return (await redis.set(`dedupe:${key}`, INSTANCE_ID, 'EX', DEDUPE_TTL_SEC, 'NX')) === 'OK';
+  const now = Date.now();
+  if ((memoryClaims.get(key) || 0) > now) return false;
+  memoryClaims.delete(key);
+  memoryClaims.set(key, now + DEDUPE_TTL_SEC * 1000);
+  // same TTL for every claim, so insertion order is expiry order: trim from the oldest end
+  for (const [k, exp] of memoryClaims) {
+    if (exp > now && memoryClaims.size <= MEMORY_CLAIMS_MAX) break;
+    memoryClaims.delete(k);
+  }
+  return true;
+}
+
+// -------- Networks --------
+// GeckoTerminal network id -> display name + explorer tx URL; EXTRA_NETWORKS adds/overrides entries.
+const NETWORKS = {
+  [GECKO_NETWORK]: { name: 'BESC Hyperchain', explorer: EXPLORER_TX_URL },
+  eth: { name: 'Ethereum', explorer: 'https://etherscan.io/tx/' },
+  bsc: { name: 'BNB Chain', explorer: 'https://bscscan.com/tx/' },
+  base: { name: 'Base', explorer: 'https://basescan.org/tx/' },
+  arbitrum: { name: 'Arbitrum', explorer: 'https://arbiscan.io/tx/' },
+  optimism: { name: 'Optimism', explorer: 'https://optimistic.etherscan.io/tx/' },
+  polygon_pos: { name: 'Polygon', explorer: 'https://polygonscan.com/tx/' },
+  avax: { name: 'Avalanche', explorer: 'https://snowtrace.io/tx/' },
+  linea: { name: 'Linea', explorer: 'https://lineascan.build/tx/' },
+  blast: { name: 'Blast', explorer: 'https://blastscan.io/tx/' },
+  ...parseExtraNetworks(EXTRA_NETWORKS)
+};
+
+function parseExtraNetworks(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('[CONFIG] EXTRA_NETWORKS is not valid JSON:', e.message);
+    return {};
+  }
+}
+
+function networkName(network) {
+  return NETWORKS[network]?.name || network;
+}
+
+function explorerTxUrl(network, tx) {
+  return (NETWORKS[network]?.explorer || EXPLORER_TX_URL) + tx;
+}
+
+function chartUrl(network, address) {
+  return `https://www.geckoterminal.com/${network}/pools/${address}`;
+}
+
+// Pool refs identify a pool across networks: the bare address on GECKO_NETWORK (keeps keys
+// written before multi-network support valid), "<network>_<address>" elsewhere (Gecko's id style).
+function poolRef(network, address) {
+  return !network || network === GECKO_NETWORK ? address : `${network}_${address}`;
+}
+
+function parsePoolRef(ref) {
+  const i = ref.lastIndexOf('_');
+  return i === -1 ? { network: GECKO_NETWORK, address: ref } : { network: ref.slice(0, i), address: ref.slice(i + 1) };
+}
+
 // -------- Config helpers --------
 function defaultChatConfig() {
   return {
-    pools: [],
+    tokens: [],                    // [{ address, symbol, pools: [{ address, dex, pair }] }]
     minBuyUsd: 0,
     videoUrl: null,
     videoFileId: null,
     videoChatId: null,
     videoValid: false,
-    threadId: null,
+    threadId: null,                // default forum topic; per-type/per-pool overrides in `routes`
+    routes: { types: {}, pools: {} },   // { types: { buy: threadId, … }, pools: { [poolRef]: threadId } } — see 🧵 Topics
     emoji: { small: '🟢', mid: '💎', large: '🐋' },
     tiers: { small: 100, large: 1000 },
-    tokenSymbols: {},
+    emojiBar: defaultEmojiBar(),
     showSells: false,
+    catchUpMax: null,              // null = CATCHUP_MAX_PER_CHAT
+    operators: [],                 // [{ id, name }] delegated non-admin bot operators
+    template: null,                // custom alert caption, null = DEFAULT_TEMPLATE
+    liquidity: defaultLiquidity(),
+    compBoard: defaultCompBoard(),  // scheduled/live leaderboard + rank replies — see /compboard
+    webhooks: [],                  // [{ id, type: 'http'|'discord', url, secret }] — see /webhook
+    milestones: [],                // [{ id, type: 'mc'|'pct'|'ath', value, window, state }] — see /alert
+    suspended: null,               // { reason, at } while the bot can't post here (kicked, blocked…)
+    digest: { enabled: false, period: 'daily', time: '09:00', tz: 'UTC', lastSent: null },
     activeCompetition: null
   };
 }
 
+// old configs stored a flat `pools` list + `tokenSymbols` map; fold them into `tokens`
+function normalizeChatConfig(cfg) {
+  if (!cfg || cfg.tokens) return cfg;
+  cfg.tokens = (cfg.pools || []).map(p => ({
+    address: null,
+    symbol: cfg.tokenSymbols?.[p] || 'TOKEN',
+    pools: [{ address: p, dex: null, pair: null }]
+  }));
+  delete cfg.pools;
+  delete cfg.tokenSymbols;
+  return cfg;
+}
+
 async function getChat(chatId) {
-  if (!redis) return memoryStore.get(chatId) || defaultChatConfig();
+  if (!redis) return normalizeChatConfig(memoryStore.get(chatId)) || defaultChatConfig();
   const raw = await redis.get(`chat:${chatId}:config`);
-  if (raw) return JSON.parse(raw);
+  if (raw) return normalizeChatConfig(JSON.parse(raw));
   const cfg = defaultChatConfig();
-  await redis.set(`chat:${chatId}:config`, JSON.stringify(cfg));
+  await setChat(chatId, cfg);
   return cfg;
 }
 
 async function setChat(chatId, cfg) {
   if (!redis) memoryStore.set(chatId, cfg);
-  else await redis.set(`chat:${chatId}:config`, JSON.stringify(cfg));
+  else {
+    await redis.set(`chat:${chatId}:config`, JSON.stringify(cfg));
+    await indexChat(chatId, cfg);
+  }
+}
+
+async function deleteChat(chatId) {
+  memoryStore.delete(chatId);
+  if (!redis) return;
+  await redis.del(`chat:${chatId}:config`);
+  await unindexChat(chatId);
+}
+
+// -------- Chat index (Redis) --------
+// pool:<pool>:chats  -> chats subscribed to a pool      pools:all  -> pools with at least one chat
+// chats:all          -> every configured chat           chats:comp -> chats with an active competition
+// chat:<id>:pools    -> pools last indexed for a chat (to diff on the next setChat)
+// digest:due         -> zset of chats with a digest on, scored by when the next one is due (ms)
+async function indexChat(chatId, cfg) {
+  const pools = activePools(cfg);
+  const prev = await redis.smembers(`chat:${chatId}:pools`);
+  const removed = prev.filter(p => !pools.includes(p));
+
+  const tx = redis.multi();
+  tx.sadd('chats:all', chatId);
+  if (cfg.activeCompetition) tx.sadd('chats:comp', chatId);
+  else tx.srem('chats:comp', chatId);
+  if (cfg.digest?.enabled && !cfg.suspended) tx.zadd('digest:due', nextDigestAt(digestSettings(cfg)), chatId);
+  else tx.zrem('digest:due', chatId);
+  for (const p of pools) {
+    tx.sadd(`pool:${p}:chats`, chatId);
+    tx.sadd('pools:all', p);
+  }
+  for (const p of removed) tx.srem(`pool:${p}:chats`, chatId);
+  tx.del(`chat:${chatId}:pools`);
+  if (pools.length) tx.sadd(`chat:${chatId}:pools`, ...pools);
+  await tx.exec();
+
+  await dropUnusedPools(removed);
+}
+
+async function unindexChat(chatId) {
+  const prev = await redis.smembers(`chat:${chatId}:pools`);
+  const tx = redis.multi();
+  tx.srem('chats:all', chatId);
+  tx.srem('chats:comp', chatId);
+  tx.zrem('digest:due', chatId);
+  for (const p of prev) tx.srem(`pool:${p}:chats`, chatId);
+  tx.del(`chat:${chatId}:pools`);
+  await tx.exec();
+
+  await dropUnusedPools(prev);
+}
+
+async function dropUnusedPools(pools) {
+  for (const p of pools) {
+    if (!(await redis.scard(`pool:${p}:chats`))) await redis.srem('pools:all', p);
+  }
+}
+
+// one-time KEYS scan to build the index for configs written before it (or a newer part of it) existed
+const CHAT_INDEX_VERSION = '2';   // 2: digest:due
+
+async function migrateChatIndex() {
+  if (!redis || await redis.get('index:version') === CHAT_INDEX_VERSION) return;
+  const keys = await redis.keys('chat:*:config');
+  for (const k of keys) {
+    try {
+      const chatId = Number(k.split(':')[1]);
+      await indexChat(chatId, normalizeChatConfig(JSON.parse(await redis.get(k) || '{}')));
+    } catch (e) {
+      console.error(`[INDEX] failed to index ${k}:`, e.message);
+    }
+  }
+  await redis.set('index:version', CHAT_INDEX_VERSION);
+  console.log(`[INDEX] indexed ${keys.length} chats`);
+}
+
+const indexReady = migrateChatIndex().catch(e => console.error('[INDEX] migration failed:', e.message));
+
+// suspended chats keep their config but stop subscribing to pools
+function activePools(cfg) {
+  return cfg?.suspended ? [] : chatPools(cfg);
+}
+
+// without Redis the chat configs are plain memoryStore entries keyed by numeric chat id
+function memoryChats() {
+  return [...memoryStore.entries()]
+    .filter(([k]) => typeof k === 'number')
+    .map(([id, cfg]) => [id, normalizeChatConfig(cfg)]);
+}
+
+async function chatsForPool(pool) {
+  if (!redis) return memoryChats().filter(([, cfg]) => activePools(cfg).includes(pool)).map(([id]) => id);
+  await indexReady;
+  return (await redis.smembers(`pool:${pool}:chats`)).map(Number);
+}
+
+async function allChatIds() {
+  if (!redis) return memoryChats().map(([id]) => id);
+  await indexReady;
+  return (await redis.smembers('chats:all')).map(Number);
+}
+
+async function dueDigestChatIds(now = Date.now()) {
+  if (!redis) {
+    return memoryChats()
+      .filter(([, cfg]) => cfg.digest?.enabled && !cfg.suspended && nextDigestAt(digestSettings(cfg), now) <= now)
+      .map(([id]) => id);
+  }
+  await indexReady;
+  return (await redis.zrangebyscore('digest:due', '-inf', now)).map(Number);
+}
+
+async function competitionChatIds() {
+  if (!redis) return memoryChats().filter(([, cfg]) => cfg.activeCompetition).map(([id]) => id);
+  await indexReady;
+  return (await redis.smembers('chats:comp')).map(Number);
+}
+
+async function trackedPools() {
+  if (!redis) return [...new Set(memoryChats().flatMap(([, cfg]) => activePools(cfg)))];
+  await indexReady;
+  return redis.smembers('pools:all');
+}
+
+// -------- Chat lifecycle (kicked / blocked / migrated) --------
+// kicked, blocked, deleted or deactivated only: a missing send right (slow mode, media-only
+// permissions) can be temporary and doesn't come with a my_chat_member update to resume on,
+// so those just fail the one message
+const CHAT_GONE_RE = /bot was kicked|bot was blocked|chat not found|bot is not a member|user is deactivated|chat was deleted/i;
+
+// returns the Telegram description when the error means we can't post to this chat anymore
+function chatGoneReason(e) {
+  const desc = e?.response?.body?.description || e?.message || '';
+  return CHAT_GONE_RE.test(desc) ? desc : null;
+}
+
+function migrateTarget(e) {
+  return e?.response?.body?.parameters?.migrate_to_chat_id || null;
+}
+
+async function suspendChat(chatId, reason) {
+  const cfg = await getChat(chatId);
+  if (cfg.suspended) return;
+  cfg.suspended = { reason, at: Date.now() };
+  await setChat(chatId, cfg);
+  console.warn(`[CHAT] suspended ${chatId}: ${reason}`);
+}
+
+async function resumeChat(chatId) {
+  const cfg = await getChat(chatId);
+  if (!cfg.suspended) return false;
+  cfg.suspended = null;
+  await setChat(chatId, cfg);
+  console.log(`[CHAT] resumed ${chatId}`);
+  return true;
+}
+
+async function scanKeys(pattern) {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+    keys.push(...batch);
+    cursor = next;
+  } while (cursor !== '0');
+  return keys;
+}
+
+/** Group upgraded to a supergroup: move the config and every chat-keyed record to the new id. */
+async function migrateChat(oldId, newId) {
+  if (oldId === newId) return;
+  // Telegram reports a migration more than once (the service message, then every queued send
+  // that fails with migrate_to_chat_id): only the first call finds the old config. Never goes
+  // through getChat, which would create a default config, and never replaces one at the new id.
+  if (redis) {
+    const moved = await redis.renamenx(`chat:${oldId}:config`, `chat:${newId}:config`).catch(() => null);   // no old key: already moved
+    if (moved == null) return;
+    if (!moved) {
+      console.warn(`[CHAT] ${newId} already has a config, leaving ${oldId}'s in place`);
+      return;
+    }
+    const cfg = normalizeChatConfig(JSON.parse(await redis.get(`chat:${newId}:config`)));
+    cfg.suspended = null;
+    await setChat(newId, cfg);
+    await unindexChat(oldId);
+
+    // everything else keyed by the chat id: alerts, competitions and their ledgers, open conversations
+    const keys = [];
+    for (const prefix of ['chat', 'comp', 'conv']) keys.push(...await scanKeys(`${prefix}:${oldId}:*`));
+    for (const k of keys) {
+      if (k === `chat:${oldId}:pools`) continue;   // index bookkeeping, rebuilt by setChat
+      await redis.renamenx(k, k.replace(`:${oldId}:`, `:${newId}:`)).catch(() => {});   // may have expired meanwhile
+    }
+  } else {
+    if (!memoryStore.has(oldId)) return;
+    if (memoryStore.has(newId)) {
+      console.warn(`[CHAT] ${newId} already has a config, leaving ${oldId}'s in place`);
+      return;
+    }
+    const cfg = normalizeChatConfig(memoryStore.get(oldId));
+    memoryStore.delete(oldId);
+    cfg.suspended = null;
+    await setChat(newId, cfg);
+    for (const k of [...memoryStore.keys()]) {
+      if (typeof k !== 'string' || !k.includes(`:${oldId}:`)) continue;
+      const to = k.replace(`:${oldId}:`, `:${newId}:`);
+      if (memoryStore.has(to)) continue;
+      memoryStore.set(to, memoryStore.get(k));
+      memoryStore.delete(k);
+    }
+  }
+  console.log(`[CHAT] migrated ${oldId} -> ${newId}`);
+}
+
+// -------- Tracked tokens / pools --------
+// pools saved before multi-network support have no `network` and live on GECKO_NETWORK
+function trackedPoolRef(pool) {
+  return poolRef(pool.network || GECKO_NETWORK, pool.address);
+}
+
+function chatPools(cfg) {
+  return (cfg?.tokens || []).flatMap(t => t.pools.map(trackedPoolRef));
+}
+
+// pool refs can outgrow Telegram's 64-byte callback_data, so buttons carry a short hash instead
+function poolKey(ref) {
+  return crypto.createHash('sha1').update(ref).digest('base64url').slice(0, 12);
+}
+
+function poolRefForKey(cfg, key) {
+  return chatPools(cfg).find(ref => poolKey(ref) === key) || null;
+}
+
+function findPool(cfg, ref) {
+  for (const token of cfg?.tokens || []) {
+    const pool = token.pools.find(p => trackedPoolRef(p) === ref);
+    if (pool) return { token, pool };
+  }
+  return null;
+}
+
+function addTrackedPools(cfg, network, tokenAddr, symbol, pools) {
+  const addr = tokenAddr ? tokenAddr.toLowerCase() : null;
+  let token = addr && cfg.tokens.find(t => t.address === addr && (t.network || GECKO_NETWORK) === network);
+  if (!token) {
+    token = { address: addr, network, symbol, pools: [] };
+    cfg.tokens.push(token);
+  }
+  token.symbol = symbol || token.symbol;
+  for (const p of pools) {
+    if (findPool(cfg, poolRef(network, p.address))) continue;
+    token.pools.push({ address: p.address, network, dex: p.dex || null, pair: p.pair || null });
+  }
+  return token;
+}
+
+function removeTrackedPool(cfg, ref) {
+  for (const token of cfg.tokens) token.pools = token.pools.filter(p => trackedPoolRef(p) !== ref);
+  cfg.tokens = cfg.tokens.filter(t => t.pools.length);
+  if (cfg.routes?.pools) delete cfg.routes.pools[ref];
+}
+
+// -------- Topic routing --------
+const ROUTE_TYPES = {
+  buy: 'Buys',
+  sell: 'Sells',
+  competition: 'Competition',
+  digest: 'Digest',
+  milestone: 'Milestones',
+  liquidity: 'Liquidity'
+};
+
+function routeSettings(cfg) {
+  return { types: { ...cfg.routes?.types }, pools: { ...cfg.routes?.pools } };
+}
+
+/**
+ * Forum topic for an outgoing message of `type` (ROUTE_TYPES key) about `pool`.
+ * Buys/sells prefer the pool's rule over the type's, everything else the other way round;
+ * both fall back to the default cfg.threadId. A rule of 0 means the main chat / General topic.
+ */
+function threadFor(cfg, type = null, pool = null) {
+  const typeThread = type ? cfg.routes?.types?.[type] : undefined;
+  const poolThread = pool ? cfg.routes?.pools?.[pool] : undefined;
+  const thread = type === 'buy' || type === 'sell' ? poolThread ?? typeThread : typeThread ?? poolThread;
+  return thread ?? cfg.threadId ?? null;
+}
+
+function routeOpts(cfg, type = null, pool = null) {
+  return { message_thread_id: threadFor(cfg, type, pool) || undefined };
+}
+
+/** The forum topic a message was posted in, null for the main chat / General. */
+function topicOf(message) {
+  return message.is_topic_message ? message.message_thread_id : null;
+}
+
+function topicLabel(threadId) {
+  return threadId ? `topic #${threadId}` : 'main chat';
+}
+
+function poolLabel(pool) {
+  if (!pool.dex && !pool.pair) return pool.address.slice(0,6) + '…' + pool.address.slice(-4);
+  return [pool.dex, pool.pair].filter(Boolean).join(' • ');
+}
+
+// -------- Permissions --------
+// Only group admins (cached getChatMember) or delegated operators may change config.
+const ADMIN_CACHE_MS = 60 * 1000;
+const adminCache = new Map();       // `${chatId}:${userId}` -> { ts, ok }
+const DENIED_TEXT = '⛔ Sorry, only group admins or bot operators can change the bot settings.';
+
+async function isChatAdmin(chatId, userId) {
+  const key = `${chatId}:${userId}`;
+  const c = adminCache.get(key);
+  if (c && Date.now() - c.ts < ADMIN_CACHE_MS) return c.ok;
+
+  try {
+    const member = await bot.getChatMember(chatId, userId);
+    const ok = member.status === 'creator' || member.status === 'administrator';
+    adminCache.set(key, { ts: Date.now(), ok });
+    return ok;
+  } catch (e) {
+    console.warn(`[AUTH] getChatMember failed for ${userId} in ${chatId}:`, e.message);
+    return false;
+  }
+}
+
+function isOperator(cfg, userId) {
+  return (cfg.operators || []).some(o => o.id === userId);
+}
+
+async function canConfigure(chat, from, senderChat = null) {
+  if (chat.type === 'private') return true;
+  if (senderChat?.id === chat.id) return true;   // anonymous admin posting as the group
+  if (!from) return false;
+  const cfg = await getChat(chat.id);
+  if (isOperator(cfg, from.id)) return true;
+  return isChatAdmin(chat.id, from.id);
+}
+
+async function requireAdmin(msg) {
+  if (await canConfigure(msg.chat, msg.from, msg.sender_chat)) return true;
+  const cfg = await getChat(msg.chat.id);
+  await bot.sendMessage(msg.chat.id, DENIED_TEXT, {
+    reply_to_message_id: msg.message_id,
+    message_thread_id: cfg.threadId || undefined
+  });
+  return false;
+}
+
+function defaultEmojiBar() {
+  return {
+    enabled: true,
+    buy: { emoji: '🟢', step: 10, max: 30 },
+    sell: { emoji: '🔴', step: 10, max: 30 }
+  };
+}
+
+// older configs have no emojiBar; fill in the defaults per side
+function emojiBarSettings(cfg) {
+  const d = defaultEmojiBar();
+  const bar = cfg.emojiBar || {};
+  return {
+    enabled: bar.enabled ?? d.enabled,
+    buy: { ...d.buy, ...bar.buy },
+    sell: { ...d.sell, ...bar.sell }
+  };
+}
+
+/** One emoji per `step` USD, capped at `max` (at least one). */
+function emojiBar(cfg, usd, isSell) {
+  const bar = emojiBarSettings(cfg);
+  if (!bar.enabled) return '';
+  const side = isSell ? bar.sell : bar.buy;
+  const count = Math.min(side.max, Math.max(1, Math.floor(usd / side.step)));
+  return side.emoji.repeat(count);
 }
 
 function tierEmoji(cfg, usd) {
@@ -155,12 +797,13 @@ async function validateVideoFileId(chatId, fileId) {
 }
 
 // -------- Safe video sender --------
+/** Sends the alert as a video (URL first, then file_id); resolves the sent message or null to fall back to text. */
 async function safeSendVideo(chatId, videoConfig, caption, replyMarkup, threadId) {
   const { videoFileId, videoUrl, videoValid } = videoConfig;
 
   if (videoUrl) {
     try {
-      await bot.sendVideo(chatId, videoUrl, {
+      return await bot.sendVideo(chatId, videoUrl, {
         caption,
         reply_markup: replyMarkup,
         parse_mode: 'HTML',
@@ -168,15 +811,15 @@ async function safeSendVideo(chatId, videoConfig, caption, replyMarkup, threadId
         message_thread_id: threadId,
         supports_streaming: true
       });
-      return true;
     } catch (e) {
+      if (retryAfterSeconds(e) != null) throw e;   // rate-limited: let the send queue retry
       console.warn(`[VIDEO] URL send failed: ${e.message}`);
     }
   }
 
   if (videoFileId && videoValid !== false) {
     try {
-      await bot.sendVideo(chatId, videoFileId, {
+      return await bot.sendVideo(chatId, videoFileId, {
         caption,
         reply_markup: replyMarkup,
         parse_mode: 'HTML',
@@ -184,8 +827,8 @@ async function safeSendVideo(chatId, videoConfig, caption, replyMarkup, threadId
         message_thread_id: threadId,
         supports_streaming: true
       });
-      return true;
     } catch (e) {
+      if (retryAfterSeconds(e) != null) throw e;
       console.warn(`[VIDEO] file_id send failed: ${e.message}`);
       const cfg = await getChat(chatId);
       cfg.videoValid = false;
@@ -193,7 +836,7 @@ async function safeSendVideo(chatId, videoConfig, caption, replyMarkup, threadId
     }
   }
 
-  return false;
+  return null;
 }
 
 // ===================================================================
@@ -203,6 +846,8 @@ const httpCache = new Map();      // url -> {ts, ttl, data}
 const inFlight = new Map();       // url -> promise
 let cooldownUntil = 0;
 let streak429 = 0;
+let budgetUntil = 0;              // shared per-minute budget used up: no requests until the next window
+const GECKO_SHARED_DEFAULT_PER_MIN = 30;
 
 function cacheGet(url) {
   const c = httpCache.get(url);
@@ -213,11 +858,57 @@ function cacheGet(url) {
 function cacheSet(url, data, ttl) {
   httpCache.set(url, { ts: Date.now(), ttl, data });
 }
+// last response for a url regardless of its ttl (market data while cooling / out of budget)
+function cacheGetStale(url) {
+  return httpCache.get(url)?.data ?? null;
+}
 function cooling() {
   return Date.now() < cooldownUntil;
 }
 function setCooldown(ms) {
   cooldownUntil = Date.now() + ms;
+  // shared so every instance backs off, not just the one that got the 429
+  if (redis) redis.set('gecko:cooldown', cooldownUntil, 'PX', ms).catch(() => {});
+}
+
+function setStreak429(n) {
+  if (n === streak429) return;
+  streak429 = n;
+  if (redis) redis.set('gecko:streak429', n, 'EX', 600).catch(() => {});
+}
+
+// pulls the other instances' cooldown / 429 streak (runs every second with Redis)
+async function syncSharedRateState() {
+  try {
+    const [until, streak] = await redis.mget('gecko:cooldown', 'gecko:streak429');
+    if (Number(until) > cooldownUntil) cooldownUntil = Number(until);
+    if (streak != null) streak429 = Number(streak);
+  } catch (e) {
+    // keep local state until Redis is back
+  }
+}
+
+// requests/min for the shared budget, 0 = off (single instance and nothing configured)
+function geckoBudgetLimit() {
+  if (GECKO_MAX_PER_MIN) return Number(GECKO_MAX_PER_MIN);
+  return liveInstances > 1 ? GECKO_SHARED_DEFAULT_PER_MIN : 0;
+}
+
+function budgetExhausted() {
+  return Date.now() < budgetUntil;
+}
+
+/** One slot of the per-minute GeckoTerminal budget shared by all instances (Redis only). */
+async function takeGeckoBudget() {
+  const limit = geckoBudgetLimit();
+  if (!redis || !limit) return true;
+  if (budgetExhausted()) return false;
+  const window = Math.floor(Date.now() / 60000);
+  const key = `gecko:budget:${window}`;
+  const [[, used]] = await redis.multi().incr(key).pexpire(key, 61000).exec();
+  if (used <= limit) return true;
+  budgetUntil = (window + 1) * 60000;   // local only: everyone sees the same counter
+  return false;
 }
 
 function buildHeaders() {
@@ -231,9 +922,14 @@ function buildHeaders() {
   return headers;
 }
 
-async function onchainGet(url, ttlMs = 0) {
+/**
+ * Cached, de-duplicated GeckoTerminal GET; null when rate-limited or failed.
+ * `allowStale` falls back to the last response for the url instead (optional extras like market data).
+ */
+async function onchainGet(url, ttlMs = 0, allowStale = false) {
   if (ttlMs > 0) {
     const cached = cacheGet(url);
+    incMetric('buybot_gecko_cache_total', { result: cached ? 'hit' : 'miss' });
     if (cached) return cached;
   }
 
@@ -241,7 +937,14 @@ async function onchainGet(url, ttlMs = 0) {
   if (inflight) return inflight;
 
   const p = (async () => {
-    if (cooling()) return null;
+    if (cooling()) {
+      incMetric('buybot_gecko_requests_total', { status: 'cooldown' });
+      return null;
+    }
+    if (!(await takeGeckoBudget().catch(() => true))) {
+      incMetric('buybot_gecko_requests_total', { status: 'budget' });
+      return null;
+    }
 
     try {
       const res = await axios.get(url, {
@@ -249,14 +952,16 @@ async function onchainGet(url, ttlMs = 0) {
         timeout: 15000
       });
 
-      streak429 = 0;
+      incMetric('buybot_gecko_requests_total', { status: res.status });
+      setStreak429(0);
       if (ttlMs > 0) cacheSet(url, res.data, ttlMs);
       return res.data;
     } catch (e) {
       const status = e?.response?.status;
+      incMetric('buybot_gecko_requests_total', { status: status || 'error' });
 
       if (status === 429) {
-        streak429 = Math.min(streak429 + 1, 10);
+        setStreak429(Math.min(streak429 + 1, 10));
 
         const ra = e?.response?.headers?.['retry-after'];
         const raNum = ra != null ? Number(ra) : NaN;
@@ -278,7 +983,7 @@ async function onchainGet(url, ttlMs = 0) {
 
   inFlight.set(url, p);
   try {
-    return await p;
+    return (await p) ?? (allowStale ? cacheGetStale(url) : null);
   } finally {
     inFlight.delete(url);
   }
@@ -289,24 +994,52 @@ function dexUrl(path) {
   return `${ONCHAIN_BASE}${path}`;
 }
 
-async function fetchTopPoolForToken(tokenAddr) {
-  const url = dexUrl(`/networks/${GECKO_NETWORK}/tokens/${tokenAddr.toLowerCase()}`);
+const MAX_POOL_CHOICES = 8;
+
+/**
+ * Top pools for a token with DEX name, pair and liquidity:
+ *   { symbol, pools: [{ address, dex, pair, liquidityUsd }] }
+ */
+async function fetchPoolsForToken(tokenAddr, network = GECKO_NETWORK) {
+  const addr = tokenAddr.toLowerCase();
+  const url = dexUrl(`/networks/${network}/tokens/${addr}/pools?include=base_token,quote_token,dex`);
   const data = await onchainGet(url, 5 * 60 * 1000);
   if (!data) return null;
 
-  const pools = data?.data?.relationships?.top_pools?.data || [];
-  if (!pools.length) return null;
+  const included = new Map((data.included || []).map(x => [`${x.type}:${x.id}`, x.attributes || {}]));
+  const related = (x, name) => {
+    const ref = x.relationships?.[name]?.data;
+    return ref ? { id: ref.id, ...(included.get(`${ref.type}:${ref.id}`) || {}) } : {};
+  };
+
+  let symbol = null;
+  const pools = (data.data || []).slice(0, MAX_POOL_CHOICES).map(x => {
+    const a = x.attributes || {};
+    const base = related(x, 'base_token');
+    const quote = related(x, 'quote_token');
+    if (!symbol && base.address?.toLowerCase() === addr) symbol = base.symbol;
+    if (!symbol && quote.address?.toLowerCase() === addr) symbol = quote.symbol;
+    const dex = related(x, 'dex');
+    return {
+      address: a.address || x.id.split('_').pop(),
+      dex: dex.name || dex.id || 'DEX',
+      pair: base.symbol && quote.symbol ? `${base.symbol}/${quote.symbol}` : (a.name || null),
+      liquidityUsd: Number(a.reserve_in_usd || 0)
+    };
+  });
 
-  const poolId = pools[0].id;
-  const pool = poolId.split('_').pop();
-  const symbol = data?.data?.attributes?.symbol || 'TOKEN';
-  return { pool, symbol };
+  return { symbol: symbol || 'TOKEN', pools };
 }
 
-async function fetchTradesForPool(pool) {
-  const url = dexUrl(`/networks/${GECKO_NETWORK}/pools/${pool}/trades?limit=5`);
+// page sizes tried in order until we reach the pool's cursor
+const TRADE_PAGE_LIMITS = [10, 50, 300];
+
+// returns null when the request failed (rate-limited / cooling) so callers can retry later
+async function fetchTradesForPool(pool, limit = TRADE_PAGE_LIMITS[0]) {
+  const { network, address } = parsePoolRef(pool);
+  const url = dexUrl(`/networks/${network}/pools/${address}/trades?limit=${limit}`);
   const data = await onchainGet(url, 3500);
-  if (!data) return [];
+  if (!data) return null;
   return normalizeTrades(data?.data);
 }
 
@@ -320,6 +1053,7 @@ function normalizeTrades(items) {
       id: x.id,
       tx: a.tx_hash,
       priceUsd: Number(a.price_to_in_usd ?? a.price_from_in_usd ?? 0),
+      tokenPriceUsd: Number((isSell ? a.price_from_in_usd : a.price_to_in_usd) ?? 0),
       amountUsd: Number(a.volume_in_usd ?? 0),
       amountToken: tokenAmount,
       tradeType: kind,
@@ -331,47 +1065,568 @@ function normalizeTrades(items) {
   });
 }
 
-// -------- Inline Settings Panel --------
-async function sendSettingsPanel(chatId, messageId = null) {
-  const cfg = await getChat(chatId);
-  const tokens = cfg.pools.length
-    ? cfg.pools.map(p => cfg.tokenSymbols[p] || (p.slice(0,6)+'…'+p.slice(-4))).join(', ')
-    : 'None';
+/** Address of the pool's traded token: what a buy receives and a sell gives up. */
+function tradedToken(trade) {
+  return trade.tradeType === 'sell' ? trade.fromToken : trade.toToken;
+}
 
-  const videoStatus = cfg.videoFileId ? (cfg.videoValid ? '✅ valid' : '⚠️ invalid')
-    : (cfg.videoUrl ? '🔗 URL' : '❌ none');
+/** USD price of the traded token (priceUsd is the received side, i.e. the quote token on sells). */
+function tradedTokenPrice(trade) {
+  return Number(trade.tokenPriceUsd ?? trade.priceUsd ?? 0);
+}
 
-  const text =
-    `⚙️ <b>Settings Panel</b>\n` +
-    `<b>Tracking:</b> ${escapeHtml(tokens)}\n` +
-    `<b>Min Buy:</b> $${cfg.minBuyUsd}\n` +
-    `<b>Whale Tier:</b> $${cfg.tiers.large} | Mid $${cfg.tiers.small}\n` +
-    `<b>Sells:</b> ${cfg.showSells ? 'ON' : 'OFF'}\n` +
-    `<b>Video:</b> ${videoStatus}\n` +
-    `<b>Competition:</b> ${cfg.activeCompetition ? '🏆 ACTIVE' : '—'}`;
+// -------- On-chain swap listener (RPC) --------
+// Uniswap V2 + V3 Swap logs for the tracked pools, decoded into the normalizeTrades shape.
+// GeckoTerminal is still used for USD pricing and token metadata (when it knows the pool).
+const SWAP_ABI = [
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+// LP events: V2 Mint/Burn and V3 Mint/Burn (liquidity alerts)
+const LP_ABI = [
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+];
+const POOL_ABI = ['function token0() view returns (address)', 'function token1() view returns (address)'];
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+const ERC20_SYMBOL_ABI = ['function symbol() view returns (string)'];
+
+const swapIface = new ethers.Interface(SWAP_ABI);
+const V2_SWAP_TOPIC = swapIface.getEvent('Swap(address,uint256,uint256,uint256,uint256,address)').topicHash;
+const V3_SWAP_TOPIC = swapIface.getEvent('Swap(address,address,int256,int256,uint160,uint128,int24)').topicHash;
+const lpIface = new ethers.Interface(LP_ABI);
+const LP_TOPICS = new Set(lpIface.fragments.map(f => f.topicHash));
+
+const useRpcSource = TRADE_SOURCE === 'rpc' || (TRADE_SOURCE === 'auto' && !!(WS_RPC_URL || RPC_URL));
+const rpcNetwork = RPC_NETWORK || GECKO_NETWORK;
+const swapQueue = new PQueue({ concurrency: 1 });  // keep per-log handling ordered
+const poolTokenCache = new Map();                  // pool -> { token0, token1, dec0, dec1 }
+const blockTimeCache = new Map();                  // blockNumber -> iso timestamp
+
+let rpcProvider = null;
+let rpcFilter = null;
+let rpcPoolsKey = '';
+let rpcHealthy = false;
+
+function swapListenerActive() {
+  return useRpcSource && rpcHealthy && !!rpcFilter;
+}
 
-  const keyboard = {
-    inline_keyboard: [
-      [{ text: '➕ Add Token', callback_data: 'add_token' },
-       { text: '➖ Remove Token', callback_data: 'remove_token' }],
-      [{ text: '🎯 Min Buy', callback_data: 'set_minbuy' },
-       { text: '🐋 Whale Tier', callback_data: 'tier_menu' }],
-      [{ text: cfg.showSells ? '🔴 Hide Sells' : '🟢 Show Sells', callback_data: 'toggle_sells' }],
-      [{ text: '🎞 Set Video', callback_data: 'set_video' },
-       { text: '🗑 Remove Video', callback_data: 'remove_video' }],
-      [{ text: '🏆 Start Competition', callback_data: 'start_comp' },
-       { text: '📊 Leaderboard', callback_data: 'show_leaderboard' },
-       { text: '🛑 End Competition', callback_data: 'end_comp' }],
-      [{ text: '📊 Status', callback_data: 'show_status' },
-       { text: '🔄 Reset Thread', callback_data: 'reset_thread' }],
-      [{ text: '✅ Done', callback_data: 'done_settings' }]
-    ]
-  };
+function createRpcProvider() {
+  if (WS_RPC_URL) {
+    const socket = new WebSocket(WS_RPC_URL);
+    const provider = new ethers.WebSocketProvider(socket);
+    socket.on('close', () => {
+      console.warn('[RPC] websocket closed, reconnecting in 5s');
+      rpcHealthy = false;
+      if (rpcProvider === provider) {
+        rpcProvider = null;
+        rpcFilter = null;
+        rpcPoolsKey = '';
+      }
+      provider.destroy().catch(() => {});
+      setTimeout(startSwapListener, 5000);
+    });
+    socket.on('error', (e) => console.error('[RPC] websocket error:', e.message));
+    return provider;
+  }
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  provider.pollingInterval = Number(RPC_POLL_MS);
+  return provider;
+}
 
-  const opts = { message_thread_id: cfg.threadId || undefined };
+function startSwapListener() {
+  if (!useRpcSource || rpcProvider || !isLeader()) return;
+  if (!WS_RPC_URL && !RPC_URL) {
+    console.warn('[RPC] TRADE_SOURCE=rpc but neither WS_RPC_URL nor RPC_URL is set; using GeckoTerminal polling');
+    return;
+  }
+  rpcProvider = createRpcProvider();
+  syncSwapSubscription([...pollState.keys()]).catch(e => console.error('[RPC] subscribe failed:', e.message));
+}
 
-  try {
-    if (messageId) {
+function stopSwapListener() {
+  const provider = rpcProvider;
+  if (!provider) return;
+  rpcProvider = null;
+  rpcFilter = null;
+  rpcPoolsKey = '';
+  rpcHealthy = false;
+  Promise.resolve(provider.destroy()).catch(() => {});
+}
+
+/** (Re)subscribes to Swap + LP Mint/Burn logs when the tracked pool set changes; also acts as a liveness ping. */
+async function syncSwapSubscription(pools) {
+  if (!rpcProvider) return;
+
+  try {
+    await rpcProvider.getBlockNumber();
+    rpcHealthy = true;
+  } catch (e) {
+    if (rpcHealthy) console.warn('[RPC] provider unreachable, falling back to GeckoTerminal polling:', e.message);
+    rpcHealthy = false;
+    return;
+  }
+
+  // the RPC only serves one chain; pools on other networks stay on GeckoTerminal polling
+  const addrs = pools.map(parsePoolRef)
+    .filter(p => p.network === rpcNetwork && /^0x[a-fA-F0-9]{40}$/.test(p.address))
+    .map(p => p.address.toLowerCase())
+    .sort();
+  const key = addrs.join(',');
+  if (key === rpcPoolsKey) return;
+
+  if (rpcFilter) await rpcProvider.off(rpcFilter, onPoolLog);
+  rpcFilter = null;
+  rpcPoolsKey = key;
+  if (!addrs.length) return;
+
+  rpcFilter = { address: addrs, topics: [[V2_SWAP_TOPIC, V3_SWAP_TOPIC, ...LP_TOPICS]] };
+  await rpcProvider.on(rpcFilter, onPoolLog);
+  console.log(`[RPC] subscribed to Swap/Mint/Burn logs for ${addrs.length} pools`);
+}
+
+function onPoolLog(log) {
+  if (LP_TOPICS.has(log.topics[0])) {
+    swapQueue.add(() => handleLiquidityLog(log)).catch(e => console.error('[RPC] LP event handling failed:', e.message));
+    return;
+  }
+  swapQueue.add(() => handleSwapLog(log)).catch(e => console.error('[RPC] swap handling failed:', e.message));
+}
+
+async function getPoolTokens(pool) {
+  const hit = poolTokenCache.get(pool);
+  if (hit) return hit;
+
+  const c = new ethers.Contract(pool, POOL_ABI, rpcProvider);
+  const [token0, token1] = (await Promise.all([c.token0(), c.token1()])).map(a => a.toLowerCase());
+  const decimals = async (addr) => {
+    try {
+      return Number(await new ethers.Contract(addr, ERC20_ABI, rpcProvider).decimals());
+    } catch {
+      return 18;
+    }
+  };
+  const [dec0, dec1] = await Promise.all([decimals(token0), decimals(token1)]);
+
+  const info = { token0, token1, dec0, dec1 };
+  poolTokenCache.set(pool, info);
+  return info;
+}
+
+/**
+ * Pool metadata read from the chain, for pools GeckoTerminal doesn't index (a local anvil/hardhat
+ * node, a brand-new pair). token0 is taken as the tracked token, as decodeSwapLog does without GT data.
+ */
+async function fetchRpcPool(poolAddr) {
+  const provider = rpcReader();
+  if (!provider) return null;
+  const address = poolAddr.toLowerCase();
+  const c = new ethers.Contract(address, POOL_ABI, provider);
+  const [token0, token1] = (await Promise.all([c.token0(), c.token1()])).map(a => a.toLowerCase());
+  const symbolOf = (addr) => new ethers.Contract(addr, ERC20_SYMBOL_ABI, provider).symbol().catch(() => null);
+  const [sym0, sym1] = await Promise.all([symbolOf(token0), symbolOf(token1)]);
+  return {
+    token: token0,
+    symbol: sym0 || 'TOKEN',
+    pool: { address, dex: 'RPC', pair: sym0 && sym1 ? `${sym0}/${sym1}` : null, liquidityUsd: 0 }
+  };
+}
+
+async function getBlockTime(blockNumber) {
+  const hit = blockTimeCache.get(blockNumber);
+  if (hit) return hit;
+  const block = await rpcProvider.getBlock(blockNumber);
+  const iso = new Date(Number(block?.timestamp || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+  blockTimeCache.set(blockNumber, iso);
+  if (blockTimeCache.size > 500) blockTimeCache.delete(blockTimeCache.keys().next().value);
+  return iso;
+}
+
+/**
+ * Decodes a V2/V3 Swap log into the normalizeTrades shape.
+ * "buy" = base token leaves the pool, same as GeckoTerminal's kind.
+ */
+async function decodeSwapLog(log) {
+  const pool = log.address.toLowerCase();
+  const parsed = swapIface.parseLog(log);
+  if (!parsed) return null;
+
+  const { token0, token1, dec0, dec1 } = await getPoolTokens(pool);
+
+  // GeckoTerminal tells us which side is the base token + USD prices; local chains fall back to token0
+  const gt = await onchainGet(dexUrl(`/networks/${rpcNetwork}/pools/${pool}`), 60000);
+  const gtAttr = gt?.data?.attributes || {};
+  const baseAddr = (gt?.data?.relationships?.base_token?.data?.id || '').split('_').pop().toLowerCase();
+  const baseIs0 = baseAddr ? baseAddr === token0 : true;
+
+  let d0, d1;
+  if (log.topics[0] === V2_SWAP_TOPIC) {
+    const { amount0In, amount1In, amount0Out, amount1Out } = parsed.args;
+    d0 = amount0Out - amount0In;   // > 0: token0 left the pool
+    d1 = amount1Out - amount1In;
+  } else {
+    d0 = -parsed.args.amount0;
+    d1 = -parsed.args.amount1;
+  }
+
+  const baseDelta = baseIs0 ? d0 : d1;
+  const quoteDelta = baseIs0 ? d1 : d0;
+  const abs = (x) => (x < 0n ? -x : x);
+  const baseAmount = Number(ethers.formatUnits(abs(baseDelta), baseIs0 ? dec0 : dec1));
+  const quoteAmount = Number(ethers.formatUnits(abs(quoteDelta), baseIs0 ? dec1 : dec0));
+  const isSell = baseDelta < 0n;
+
+  const quotePx = Number(gtAttr.quote_token_price_usd || 0);
+  const basePx = Number(gtAttr.base_token_price_usd || 0);
+  const amountUsd = quotePx > 0 ? quoteAmount * quotePx : baseAmount * basePx;
+  const priceUsd = baseAmount > 0 && amountUsd > 0 ? amountUsd / baseAmount : basePx;
+
+  const baseToken = baseIs0 ? token0 : token1;
+  const quoteToken = baseIs0 ? token1 : token0;
+  const [ts, tx] = await Promise.all([
+    getBlockTime(log.blockNumber),
+    rpcProvider.getTransaction(log.transactionHash).catch(() => null)
+  ]);
+
+  return {
+    // same id layout GeckoTerminal uses, so cursors stay valid when switching sources
+    id: `${rpcNetwork}_${log.blockNumber}_${log.transactionHash}_${log.index}_${Math.floor(Date.parse(ts) / 1000)}`,
+    tx: log.transactionHash,
+    priceUsd,
+    tokenPriceUsd: priceUsd,
+    amountUsd,
+    amountToken: baseAmount,
+    tradeType: isSell ? 'sell' : 'buy',
+    buyer: tx?.from ? tx.from.toLowerCase() : null,
+    fromToken: isSell ? baseToken : quoteToken,
+    toToken: isSell ? quoteToken : baseToken,
+    ts
+  };
+}
+
+async function handleSwapLog(log) {
+  if (log.removed) return;
+  const pool = poolRef(rpcNetwork, log.address.toLowerCase());
+  const trade = await decodeSwapLog(log);
+  if (!trade) return;
+
+  const cursor = await getCursor(pool);
+  if (cursor?.ids?.includes(trade.id)) return;
+  await setCursor(pool, advanceCursor(cursor, [trade]));
+  await broadcastTrade(pool, trade);
+}
+
+const seenLpEvents = new Set();   // re-delivered logs after a reconnect
+
+/** Decodes an LP Mint/Burn log into { kind: 'add'|'remove', usd, amounts, wallet, tx }. */
+async function decodeLiquidityLog(log) {
+  const pool = log.address.toLowerCase();
+  const parsed = lpIface.parseLog(log);
+  if (!parsed) return null;
+  const { amount0, amount1 } = parsed.args;
+  if (amount0 === 0n && amount1 === 0n) return null;   // V3 fee "poke" burns
+
+  const { token0, token1, dec0, dec1 } = await getPoolTokens(pool);
+  const gt = await onchainGet(dexUrl(`/networks/${rpcNetwork}/pools/${pool}`), 60000);
+  const gtAttr = gt?.data?.attributes || {};
+  const baseAddr = (gt?.data?.relationships?.base_token?.data?.id || '').split('_').pop().toLowerCase();
+  const baseIs0 = baseAddr ? baseAddr === token0 : true;
+
+  const amt0 = Number(ethers.formatUnits(amount0, dec0));
+  const amt1 = Number(ethers.formatUnits(amount1, dec1));
+  const px0 = Number((baseIs0 ? gtAttr.base_token_price_usd : gtAttr.quote_token_price_usd) || 0);
+  const px1 = Number((baseIs0 ? gtAttr.quote_token_price_usd : gtAttr.base_token_price_usd) || 0);
+  const tx = await rpcProvider.getTransaction(log.transactionHash).catch(() => null);
+
+  return {
+    kind: parsed.name === 'Mint' ? 'add' : 'remove',
+    usd: amt0 * px0 + amt1 * px1,
+    baseAmount: baseIs0 ? amt0 : amt1,
+    quoteAmount: baseIs0 ? amt1 : amt0,
+    wallet: tx?.from ? tx.from.toLowerCase() : null,
+    tx: log.transactionHash,
+    token0,
+    token1
+  };
+}
+
+async function handleLiquidityLog(log) {
+  if (log.removed) return;
+  const key = `${log.transactionHash}:${log.index}`;
+  if (seenLpEvents.has(key)) return;
+  seenLpEvents.add(key);
+  if (seenLpEvents.size > 1000) seenLpEvents.delete(seenLpEvents.values().next().value);
+
+  const event = await decodeLiquidityLog(log);
+  if (event) await broadcastLiquidityEvent(poolRef(rpcNetwork, log.address.toLowerCase()), event);
+}
+
+// -------- Holder tracking --------
+// Per-token wallet record built from the trades we see (hash holders:<token> -> wallet -> JSON).
+// When an RPC endpoint is configured, balanceOf gives the real position instead.
+const HOLDER_DUST = 1e-9;
+const tokenDecimalsCache = new Map();
+let rpcReadProvider = null;
+
+function rpcReader() {
+  if (rpcProvider) return rpcProvider;
+  if (!rpcReadProvider && RPC_URL) rpcReadProvider = new ethers.JsonRpcProvider(RPC_URL);
+  return rpcReadProvider;
+}
+
+async function rpcBalanceOf(token, wallet) {
+  const provider = rpcReader();
+  if (!provider || !/^0x[a-fA-F0-9]{40}$/.test(token)) return null;
+  try {
+    const c = new ethers.Contract(token, ['function balanceOf(address) view returns (uint256)', ...ERC20_ABI], provider);
+    if (!tokenDecimalsCache.has(token)) tokenDecimalsCache.set(token, Number(await c.decimals()));
+    const raw = await c.balanceOf(wallet);
+    return Number(ethers.formatUnits(raw, tokenDecimalsCache.get(token)));
+  } catch (e) {
+    console.warn(`[HOLDERS] balanceOf failed for ${wallet} on ${token}:`, e.message);
+    return null;
+  }
+}
+
+async function getHolder(token, wallet) {
+  const key = `holders:${token}`;
+  if (redis) {
+    const raw = await redis.hget(key, wallet);
+    return raw ? JSON.parse(raw) : null;
+  }
+  return memoryStore.get(key)?.get(wallet) || null;
+}
+
+async function setHolder(token, wallet, rec) {
+  const key = `holders:${token}`;
+  if (redis) return redis.hset(key, wallet, JSON.stringify(rec));
+  if (!memoryStore.has(key)) memoryStore.set(key, new Map());
+  memoryStore.get(key).set(wallet, rec);
+}
+
+function pctLabel(pct) {
+  return pct >= 1000 ? formatUSD(pct) : pct.toFixed(pct < 10 ? 1 : 0);
+}
+
+/**
+ * Records the trade against the wallet and returns the alert tag:
+ * "🆕 New Holder", "📈 Position +X%", "📉 Position -X%" or "🚪 Sold entire position".
+ */
+async function holderPosition(trade, network = GECKO_NETWORK) {
+  const wallet = trade.buyer?.toLowerCase();
+  const isSell = trade.tradeType === 'sell';
+  const addr = tradedToken(trade)?.toLowerCase();
+  const amount = Number(trade.amountToken || 0);
+  if (!wallet || !addr || !(amount > 0)) return '';
+
+  const token = poolRef(network, addr);   // holder books are per network
+  const rec = await getHolder(token, wallet);
+  // after the trade (or later); the RPC can only answer for its own chain
+  const balance = network === rpcNetwork ? await rpcBalanceOf(addr, wallet) : null;
+
+  let before = rec ? rec.amount : null;
+  if (balance != null) before = Math.max(0, isSell ? balance + amount : balance - amount);
+
+  const now = Date.now();
+  const after = balance ?? Math.max(0, (before || 0) + (isSell ? -amount : amount));
+  await setHolder(token, wallet, {
+    amount: after,
+    buys: (rec?.buys || 0) + (isSell ? 0 : 1),
+    sells: (rec?.sells || 0) + (isSell ? 1 : 0),
+    firstSeen: rec?.firstSeen || now,
+    lastSeen: now
+  });
+
+  if (!isSell) {
+    if (before == null || before <= HOLDER_DUST) return '🆕 New Holder';
+    return `📈 Position +${pctLabel(amount / before * 100)}%`;
+  }
+  if (before == null || before <= HOLDER_DUST) return '';
+  if (after <= HOLDER_DUST) return '🚪 Sold entire position';
+  return `📉 Position -${pctLabel(Math.min(100, amount / before * 100))}%`;
+}
+
+// -------- Alert templates --------
+// Captions are Telegram HTML with {placeholders}; a line is dropped when any of its placeholders is empty.
+const DEFAULT_TEMPLATE = [
+  '{badge} <b>{action}</b> • <b>{symbol}</b>',
+  '🏦 {dex}',
+  '💵 <b>{usd}</b>',
+  '🧮 {amount} {symbol} @ {price}',
+  '📊 {mc_label}: {mc}',
+  '💧 Liquidity: {liquidity}',
+  '📈 24h Vol: {volume}',
+  '📊 24h Change: {change}',
+  '👥 Holders: {holders}',
+  '{position}',
+  '👤 {buyer}',
+  '🔗 {tx}'
+].join('\n');
+
+const TEMPLATE_PLACEHOLDERS = {
+  bar: 'emoji bar scaled by size',
+  emoji: 'tier emoji',
+  badge: 'emoji bar, or the tier emoji when the bar is off',
+  action: 'BUY / SELL',
+  symbol: 'token symbol',
+  dex: 'DEX and pair',
+  usd: 'trade size in USD',
+  amount: 'token amount',
+  price: 'token price',
+  mc: 'market cap (or FDV)',
+  mc_label: 'MC or FDV',
+  liquidity: 'pool liquidity',
+  volume: '24h volume',
+  change: '24h price change',
+  holders: 'holder count',
+  position: 'new holder / position change',
+  buyer: 'short buyer address',
+  tx: 'TX link',
+  tx_url: 'explorer URL',
+  chart_url: 'chart URL'
+};
+
+const TEMPLATE_TAGS = new Set(['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'a', 'code', 'pre', 'tg-spoiler', 'span', 'blockquote']);
+const CAPTION_LIMIT = 1024;
+
+function alertVars(cfg, pool, tracked, trade, market = {}) {
+  const usd = Number(trade.amountUsd || 0);
+  const isSell = trade.tradeType === 'sell';
+  const { network, address } = parsePoolRef(pool);
+  const txUrl = explorerTxUrl(network, trade.tx);
+  const usdOrEmpty = (n) => (Number.isFinite(n) && n > 0 ? `$${formatUSD(n)}` : '');
+
+  const bar = emojiBar(cfg, usd, isSell);
+  const emoji = isSell ? '🔴' : tierEmoji(cfg, usd);
+
+  return {
+    bar,
+    emoji,
+    badge: bar || emoji,
+    action: isSell ? 'SELL' : 'BUY',
+    symbol: escapeHtml(tracked.token.symbol || 'TOKEN'),
+    dex: tracked.pool.dex || tracked.pool.pair ? escapeHtml(poolLabel(tracked.pool)) : '',
+    usd: `$${usd.toFixed(2)}`,
+    amount: trade.amountToken ? trade.amountToken.toLocaleString(undefined, { maximumFractionDigits: 6 }) : '—',
+    price: trade.priceUsd ? `$${trade.priceUsd.toFixed(6)}` : '—',
+    mc: usdOrEmpty(market.mc),
+    mc_label: market.mcLabel || 'MC',
+    liquidity: usdOrEmpty(market.liquidity),
+    volume: usdOrEmpty(market.volume),
+    change: market.change != null ? `${market.change >= 0 ? '+' : ''}${market.change.toFixed(2)}%` : '',
+    holders: market.holders ? String(market.holders) : '',
+    position: market.position ? escapeHtml(market.position) : '',
+    buyer: trade.buyer ? `${escapeHtml(trade.buyer.slice(0,6))}…${escapeHtml(trade.buyer.slice(-4))}` : '',
+    tx: `<a href="${txUrl}">TX</a>`,
+    tx_url: txUrl,
+    chart_url: chartUrl(network, address)
+  };
+}
+
+function renderTemplate(tpl, vars) {
+  return tpl.split('\n')
+    .filter(line => [...line.matchAll(/\{(\w+)\}/g)].every(m => vars[m[1]]))
+    .map(line => line.replace(/\{(\w+)\}/g, (_, k) => vars[k]))
+    .join('\n');
+}
+
+/** Returns an error message, or null when the template is usable. */
+function validateTemplate(tpl) {
+  if (!tpl.trim()) return 'Template is empty.';
+
+  const unknown = [...tpl.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(k => !(k in TEMPLATE_PLACEHOLDERS));
+  if (unknown.length) return `Unknown placeholder(s): ${[...new Set(unknown)].map(k => `{${k}}`).join(', ')}`;
+
+  // Telegram's HTML subset: known tags only, properly nested, bare & < > escaped
+  const stack = [];
+  const tagRe = /<(\/?)([a-z-]+)((?:\s+[a-z-]+="[^"]*")*)\s*>/gi;
+  let last = 0;
+  for (const m of tpl.matchAll(tagRe)) {
+    const between = tpl.slice(last, m.index);
+    if (/[<>]/.test(between)) return 'Unescaped "<" or ">" — use &lt; and &gt;.';
+    last = m.index + m[0].length;
+
+    const [, closing, rawName, attrs] = m;
+    const name = rawName.toLowerCase();
+    if (!TEMPLATE_TAGS.has(name)) return `Tag <${name}> is not supported by Telegram.`;
+    if (closing) {
+      if (stack.pop() !== name) return `Tag </${name}> is not properly nested.`;
+    } else {
+      if (name === 'a' && !/\shref="[^"]+"/i.test(attrs)) return '<a> needs an href="…".';
+      if (name === 'span' && !/class="tg-spoiler"/i.test(attrs)) return '<span> is only allowed as class="tg-spoiler".';
+      stack.push(name);
+    }
+  }
+  if (/[<>]/.test(tpl.slice(last))) return 'Unescaped "<" or ">" — use &lt; and &gt;.';
+  if (stack.length) return `Tag <${stack.pop()}> is never closed.`;
+  if (/&(?!(lt|gt|amp|quot|#\d+);)/.test(tpl)) return 'Bare "&" — use &amp;.';
+  return null;
+}
+
+function sampleAlertVars(cfg) {
+  const tracked = cfg.tokens[0]
+    ? { token: cfg.tokens[0], pool: cfg.tokens[0].pools[0] }
+    : { token: { symbol: 'TOKEN' }, pool: { address: '0x' + '0'.repeat(40), dex: 'Uniswap V2', pair: 'TOKEN/WBESC' } };
+  const trade = {
+    tx: '0x' + 'ab'.repeat(32),
+    priceUsd: 0.004213,
+    amountUsd: Math.max(cfg.tiers.small, 250),
+    amountToken: 59339.18,
+    tradeType: 'buy',
+    buyer: '0x1234567890abcdef1234567890abcdef12345678'
+  };
+  const market = { mc: 4213000, mcLabel: 'MC', liquidity: 182000, volume: 96400, change: 12.4, holders: 1873, position: '🆕 New Holder' };
+  return alertVars(cfg, trackedPoolRef(tracked.pool), tracked, trade, market);
+}
+
+// -------- Inline Settings Panel --------
+async function sendSettingsPanel(chatId, messageId = null, threadId = undefined) {
+  const cfg = await getChat(chatId);
+  const tokens = cfg.tokens.length
+    ? cfg.tokens.map(t => t.pools.length > 1 ? `${t.symbol} (${t.pools.length} pools)` : t.symbol).join(', ')
+    : 'None';
+
+  const videoStatus = cfg.videoFileId ? (cfg.videoValid ? '✅ valid' : '⚠️ invalid')
+    : (cfg.videoUrl ? '🔗 URL' : '❌ none');
+  const rules = routeCount(cfg);
+
+  const text =
+    `⚙️ <b>Settings Panel</b>\n` +
+    `<b>Tracking:</b> ${escapeHtml(tokens)}\n` +
+    `<b>Min Buy:</b> $${cfg.minBuyUsd}\n` +
+    `<b>Whale Tier:</b> $${cfg.tiers.large} | Mid $${cfg.tiers.small}\n` +
+    `<b>Sells:</b> ${cfg.showSells ? 'ON' : 'OFF'}\n` +
+    `<b>Video:</b> ${videoStatus}\n` +
+    `<b>Competition:</b> ${cfg.activeCompetition ? '🏆 ACTIVE' : '—'}\n` +
+    `<b>Topics:</b> ${topicLabel(cfg.threadId)}${rules ? ` + ${rules} rule${rules === 1 ? '' : 's'}` : ''}`;
+
+  const keyboard = {
+    inline_keyboard: [
+      [{ text: '➕ Add Token', callback_data: 'add_token' },
+       { text: '➖ Remove Token', callback_data: 'remove_token' }],
+      [{ text: '🎯 Min Buy', callback_data: 'set_minbuy' },
+       { text: '🐋 Whale Tier', callback_data: 'tier_menu' }],
+      [{ text: '🟩 Emoji Bar', callback_data: 'emoji_menu' }],
+      [{ text: cfg.showSells ? '🔴 Hide Sells' : '🟢 Show Sells', callback_data: 'toggle_sells' }],
+      [{ text: '🎞 Set Video', callback_data: 'set_video' },
+       { text: '🗑 Remove Video', callback_data: 'remove_video' }],
+      [{ text: '🏆 Start Competition', callback_data: 'start_comp' },
+       { text: '📊 Leaderboard', callback_data: 'show_leaderboard' },
+       { text: '🛑 End Competition', callback_data: 'end_comp' }],
+      [{ text: '📊 Status', callback_data: 'show_status' },
+       { text: '🧵 Topics', callback_data: 'topics_menu' }],
+      [{ text: '✅ Done', callback_data: 'done_settings' }]
+    ]
+  };
+
+  // /settings passes the topic it was run in so the panel answers there
+  const opts = { message_thread_id: (threadId === undefined ? cfg.threadId : threadId) || undefined };
+
+  try {
+    if (messageId) {
       await bot.editMessageText(text, {
         chat_id: chatId,
         message_id: messageId,
@@ -391,48 +1646,288 @@ async function sendSettingsPanel(chatId, messageId = null) {
   }
 }
 
-// -------- Handlers --------
-bot.onText(/\/settings|\/start/, async (msg) => {
-  const cfg = await getChat(msg.chat.id);
-  if (msg.message_thread_id) {
-    cfg.threadId = msg.message_thread_id;
-    await setChat(msg.chat.id, cfg);
+function routeCount(cfg) {
+  const routes = routeSettings(cfg);
+  return Object.keys(routes.types).length + Object.keys(routes.pools).length;
+}
+
+// -------- Topics submenu --------
+// Buttons route a message type or pool to the topic the menu is open in (`here`);
+// tapping a rule that already points here clears it.
+async function sendTopicsMenu(chatId, messageId, here) {
+  const cfg = await getChat(chatId);
+  const routes = routeSettings(cfg);
+  const target = here || 0;
+  const show = (thread) => thread === undefined ? `default (${topicLabel(cfg.threadId)})` : topicLabel(thread);
+  const mark = (thread) => (thread === target ? '✅' : '➡️');
+  const pools = cfg.tokens.flatMap(t => t.pools.map(p => ({ token: t, pool: p, ref: trackedPoolRef(p) })));
+
+  const text =
+    `🧵 <b>Topic routing</b> — this is ${topicLabel(here)}\n` +
+    `<b>Default:</b> ${topicLabel(cfg.threadId)}\n` +
+    Object.entries(ROUTE_TYPES).map(([type, label]) => `<b>${label}:</b> ${show(routes.types[type])}`).join('\n') +
+    (pools.length ? `\n\n<b>Pools</b> (buys/sells)\n` +
+      pools.map(({ token, pool, ref }) => `• ${escapeHtml(token.symbol)} • ${escapeHtml(poolLabel(pool))}: ${show(routes.pools[ref])}`).join('\n') : '') +
+    `\n\nTap to send it to this topic, tap ✅ again to clear.`;
+
+  const types = Object.entries(ROUTE_TYPES).map(([type, label]) => ({ text: `${mark(routes.types[type])} ${label}`, callback_data: `rt:t:${type}` }));
+  const rows = [[{ text: `${(cfg.threadId || 0) === target ? '✅' : '📌'} Default here`, callback_data: 'rt:d' },
+    { text: '🔄 Reset Thread', callback_data: 'reset_thread' }]];
+  for (let i = 0; i < types.length; i += 2) rows.push(types.slice(i, i + 2));
+  for (const { token, pool, ref } of pools) {
+    rows.push([{ text: `${mark(routes.pools[ref])} ${token.symbol} • ${poolLabel(pool)}`, callback_data: `rt:p:${poolKey(ref)}` }]);
+  }
+  rows.push([{ text: '⬅️ Back', callback_data: 'back_to_settings' }]);
+
+  await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } })
+    .catch(() => {});
+}
+
+async function updateRoute(chatId, data, here) {
+  const cfg = await getChat(chatId);
+  const target = here || 0;
+  const [, kind, arg] = data.split(':');
+  if (kind === 'd') {
+    cfg.threadId = here || null;
+  } else {
+    const key = kind === 't' ? arg : poolRefForKey(cfg, arg);
+    if (kind === 't' ? !ROUTE_TYPES[key] : !key) return;
+    const routes = routeSettings(cfg);
+    const rules = kind === 't' ? routes.types : routes.pools;
+    if (rules[key] === target) delete rules[key];
+    else rules[key] = target;
+    cfg.routes = routes;
+  }
+  await setChat(chatId, cfg);
+}
+
+// -------- Add Token flow (pool picker) --------
+function trackingText(token) {
+  return `✅ Tracking <b>${escapeHtml(token.symbol)}</b> on ${escapeHtml(networkName(token.network || GECKO_NETWORK))}\n` +
+    token.pools.map(p => `• ${escapeHtml(poolLabel(p))}: <code>${p.address}</code>`).join('\n');
+}
+
+/** Resolves a token's pools; adds it directly if there's one, else shows the picker. Returns false on failure. */
+async function startTokenAdd(chatId, userId, tokenAddr, network, opts, panelMsgId = null) {
+  const found = await fetchPoolsForToken(tokenAddr, network);
+  if (!found?.pools.length) {
+    await bot.sendMessage(chatId, '❌ No pool found for that token on this network (or rate-limited). Try again in a moment.', { ...opts });
+    return false;
+  }
+
+  if (found.pools.length === 1) {
+    const cfg = await getChat(chatId);
+    const token = addTrackedPools(cfg, network, tokenAddr, found.symbol, found.pools);
+    await setChat(chatId, cfg);
+    const chart = chartUrl(network, found.pools[0].address);
+    await bot.sendMessage(chatId, trackingText(token), {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[{ text: '📈 Chart', url: chart }]] },
+      ...opts
+    });
+    if (panelMsgId) await sendSettingsPanel(chatId, panelMsgId);
+    return true;
+  }
+
+  const pick = { type: 'pools', token: tokenAddr.toLowerCase(), network, symbol: found.symbol, pools: found.pools, panelMsgId };
+  await saveConversation(chatId, userId, pick);
+  await sendPoolPicker(chatId, pick, null, opts);
+  return true;
+}
+
+async function sendPoolPicker(chatId, pick, messageId, opts) {
+  const cfg = await getChat(chatId);
+
+  const rows = pick.pools.map((p, i) => ([{
+    text: `${findPool(cfg, poolRef(pick.network, p.address)) ? '✅ ' : ''}${p.dex} • ${p.pair || '?'} • $${formatUSD(p.liquidityUsd)}`,
+    callback_data: `ap:${i}`
+  }]));
+  rows.push([{ text: '🌐 All pools', callback_data: 'ap:all' }, { text: '✅ Done', callback_data: 'ap:done' }]);
+
+  const text = `Select the pool(s) to track for <b>${escapeHtml(pick.symbol)}</b>:`;
+  const markup = { inline_keyboard: rows };
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: markup })
+      .catch(() => {});
+  } else {
+    await bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: markup, ...opts });
+  }
+}
+
+async function handlePoolPick(chatId, userId, messageId, choice, opts) {
+  const pick = await getConversation(chatId, userId);
+  if (pick?.type !== 'pools') {
+    return bot.sendMessage(chatId, 'This pool picker expired (or was opened by another admin). Use /add 0xToken again.', { ...opts });
+  }
+
+  const cfg = await getChat(chatId);
+  if (choice === 'all') {
+    addTrackedPools(cfg, pick.network, pick.token, pick.symbol, pick.pools);
+    await setChat(chatId, cfg);
+  } else if (choice !== 'done') {
+    const pool = pick.pools[Number(choice)];
+    if (pool) {
+      addTrackedPools(cfg, pick.network, pick.token, pick.symbol, [pool]);
+      await setChat(chatId, cfg);
+    }
+    await saveConversation(chatId, userId, pick);   // keeps the picker alive while choosing
+    return sendPoolPicker(chatId, pick, messageId, opts);
+  }
+
+  await endConversation(chatId, userId);
+  const token = cfg.tokens.find(t => t.address === pick.token && (t.network || GECKO_NETWORK) === pick.network);
+  const text = token ? trackingText(token) : `No pools selected for <b>${escapeHtml(pick.symbol)}</b>.`;
+  await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' })
+    .catch(() => bot.sendMessage(chatId, text, { parse_mode: 'HTML', ...opts }));
+  if (pick.panelMsgId) await sendSettingsPanel(chatId, pick.panelMsgId);
+}
+
+// -------- Emoji bar submenu --------
+const BAR_STEP_PRESETS = [5, 10, 25, 50, 100];
+const BAR_MAX_PRESETS = [10, 20, 30, 50];
+
+async function sendEmojiBarMenu(chatId, messageId = null, opts = {}) {
+  const cfg = await getChat(chatId);
+  const bar = emojiBarSettings(cfg);
+  const mark = (on, label) => (on ? `• ${label} •` : label);
+
+  const text =
+    `🟩 <b>Emoji Bar</b> ${bar.enabled ? 'ON' : 'OFF'}\n` +
+    `Buys: ${bar.buy.emoji} per $${bar.buy.step}, max ${bar.buy.max}\n` +
+    `Sells: ${bar.sell.emoji} per $${bar.sell.step}, max ${bar.sell.max}\n\n` +
+    `Change the emoji with /emoji buy 🚀 or /emoji sell 🩸`;
+
+  const keyboard = {
+    inline_keyboard: [
+      [{ text: bar.enabled ? '🔴 Turn Off' : '🟢 Turn On', callback_data: 'eb:toggle' }],
+      BAR_STEP_PRESETS.map(v => ({ text: mark(bar.buy.step === v, `Buy $${v}`), callback_data: `eb:buy:step:${v}` })),
+      BAR_STEP_PRESETS.map(v => ({ text: mark(bar.sell.step === v, `Sell $${v}`), callback_data: `eb:sell:step:${v}` })),
+      BAR_MAX_PRESETS.map(v => ({ text: mark(bar.buy.max === v && bar.sell.max === v, `Max ${v}`), callback_data: `eb:both:max:${v}` })),
+      [{ text: '⬅️ Back', callback_data: 'back_to_settings' }]
+    ]
+  };
+
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: keyboard })
+      .catch(() => {});
   } else {
-    cfg.threadId = null;
-    await setChat(msg.chat.id, cfg);
+    await bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: keyboard, ...opts });
+  }
+}
+
+async function updateEmojiBar(chatId, fn) {
+  const cfg = await getChat(chatId);
+  const bar = emojiBarSettings(cfg);
+  fn(bar);
+  cfg.emojiBar = bar;
+  await setChat(chatId, cfg);
+  return bar;
+}
+
+// -------- Conversation state (/cancel) --------
+// One pending flow per (chat, user), persisted so a restart mid-wizard resumes it and only the
+// admin who started it can answer. Key conv:<chatId>:<userId>, refreshed on every step.
+const CONVERSATION_TTL_MS = 15 * 60 * 1000;
+const CONVERSATION_LABELS = {
+  video: 'the video upload',
+  token: 'adding a token',
+  minbuy: 'setting the minimum buy',
+  comp: 'the competition setup',
+  pools: 'the pool picker'
+};
+const CANCEL_HINT = '\nSend /cancel to stop.';
+
+function conversationKey(chatId, userId) {
+  return `conv:${chatId}:${userId}`;
+}
+
+/** Starts (or replaces) the user's pending flow, e.g. { type: 'comp', mode, step, data }. */
+async function saveConversation(chatId, userId, state) {
+  const key = conversationKey(chatId, userId);
+  const value = { ...state, updatedAt: Date.now() };
+  if (redis) return redis.set(key, JSON.stringify(value), 'PX', CONVERSATION_TTL_MS);
+  memoryStore.set(key, { value, expires: Date.now() + CONVERSATION_TTL_MS });
+}
+
+async function getConversation(chatId, userId) {
+  const key = conversationKey(chatId, userId);
+  if (redis) {
+    const raw = await redis.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+  const hit = memoryStore.get(key);
+  if (!hit) return null;
+  if (hit.expires < Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+/** Clears the user's flow and returns what was pending (null if nothing). */
+async function endConversation(chatId, userId) {
+  const key = conversationKey(chatId, userId);
+  if (redis) {
+    const [[, raw]] = await redis.multi().get(key).del(key).exec();
+    return raw ? JSON.parse(raw) : null;
   }
-  await sendSettingsPanel(msg.chat.id);
+  const state = await getConversation(chatId, userId);
+  memoryStore.delete(key);
+  return state;
+}
+
+// -------- Handlers --------
+bot.onText(/\/cancel/, async (msg) => {
+  if (!msg.from) return;
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const state = await endConversation(chatId, msg.from.id);
+  if (!state) return bot.sendMessage(chatId, 'Nothing to cancel.', { ...opts });
+  await bot.sendMessage(chatId, `✖️ Cancelled ${CONVERSATION_LABELS[state.type] || 'the pending input'}.`, { ...opts });
+});
+
+bot.onText(/\/settings|\/start/, async (msg) => {
+  if (!(await requireAdmin(msg))) return;
+  // the default topic is only changed from 🧵 Topics, never implicitly here
+  await sendSettingsPanel(msg.chat.id, null, topicOf(msg));
 });
 
 bot.onText(/\/resetchat/, async (msg) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  await redis?.del(`chat:${chatId}:config`);
-  memoryStore.delete(chatId);
+  await deleteChat(chatId);
   await bot.sendMessage(chatId, '✅ Chat configuration reset. Use /settings to re-add pools.', { ...opts });
 });
 
 bot.onText(/\/resetthread/, async (msg) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
   cfg.threadId = null;
   await setChat(chatId, cfg);
-  await bot.sendMessage(chatId, '✅ Topic thread ID cleared. Run /settings in a valid topic to set a new one.', { ...opts });
+  await bot.sendMessage(chatId, '✅ Default topic cleared, alerts without a topic rule go to the main chat. Set topics in /settings → 🧵 Topics.', { ...opts });
 });
 
-bot.onText(/\/resetpool (.+)/, async (msg, match) => {
+// /resetpool <pool> [network] (or a "<network>_<pool>" ref); only pools this chat tracks, since
+// the cursor is shared with every other chat watching the pool
+bot.onText(/\/resetpool (\S+)(?: ([\w-]+))?/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  const poolId = match[1].trim();
-  await redis?.del(`pool:${poolId}:lastTradeId`);
-  memoryStore.delete(`pool:${poolId}:lastTradeId`);
-  await bot.sendMessage(chatId, `✅ Cleared lastTradeId for pool ${poolId}. Next trade will trigger.`, { ...opts });
+  const wanted = (match[2] ? poolRef(match[2].toLowerCase(), match[1]) : match[1]).toLowerCase();
+  const poolId = chatPools(cfg).find(ref => ref.toLowerCase() === wanted);
+  if (!poolId) return bot.sendMessage(chatId, '❌ That pool is not tracked here. See /list.', { ...opts });
+  await clearCursor(poolId);
+  await bot.sendMessage(chatId, `✅ Cleared trade cursor for pool ${poolId}. Next trade will trigger.`, { ...opts });
 });
 
 bot.onText(/\/removevideo/, async (msg) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
@@ -444,28 +1939,42 @@ bot.onText(/\/removevideo/, async (msg) => {
   await bot.sendMessage(chatId, '🗑 Video removed. Alerts will use text only.', { ...opts });
 });
 
+// callbacks that only read state; everything else needs admin/operator rights
+const READ_ONLY_CALLBACKS = new Set(['show_leaderboard', 'show_status']);
+
 bot.on('callback_query', async (query) => {
   const chatId = query.message.chat.id;
   const cfg = await getChat(chatId);
-  const opts = { message_thread_id: cfg.threadId || undefined };
+  // answer in the topic the button was pressed in
+  const opts = { message_thread_id: topicOf(query.message) || undefined };
+
+  if (!READ_ONLY_CALLBACKS.has(query.data) && !(await canConfigure(query.message.chat, query.from))) {
+    await bot.answerCallbackQuery(query.id, { text: DENIED_TEXT, show_alert: true });
+    return;
+  }
   await bot.answerCallbackQuery(query.id);
 
   switch (query.data) {
     case 'add_token':
-      awaitingTokenInput.set(chatId, query.message.message_id);
-      await bot.sendMessage(chatId, 'Reply with token address (0x...) to add:', { ...opts });
+      {
+        const ids = Object.keys(NETWORKS);
+        const rows = [];
+        for (let i = 0; i < ids.length; i += 3) {
+          rows.push(ids.slice(i, i + 3).map(id => ({ text: networkName(id), callback_data: `an:${id}:${query.message.message_id}` })));
+        }
+        await bot.sendMessage(chatId, '🌐 Which network is the token on?', { reply_markup: { inline_keyboard: rows }, ...opts });
+      }
       break;
 
     case 'remove_token':
-      if (!cfg.pools.length) {
+      if (!cfg.tokens.length) {
         await bot.sendMessage(chatId, 'No tokens to remove.', { ...opts });
         return;
       }
       {
-        const rows = cfg.pools.map(p => ([{ text: (cfg.tokenSymbols[p] || p.slice(0,6)+'…'+p.slice(-4)), callback_data: `rm:${p}` }]));
+        const rows = cfg.tokens.flatMap(t => t.pools.map(p => ([{ text: `${t.symbol} • ${poolLabel(p)}`, callback_data: `rm:${poolKey(trackedPoolRef(p))}` }])));
         rows.push([{ text: '⬅️ Back', callback_data: 'back_to_settings' }]);
         await bot.sendMessage(chatId, 'Select a token to remove:', { reply_markup: { inline_keyboard: rows }, ...opts });
-        awaitingRemoveChoice.set(chatId, query.message.message_id);
       }
       break;
 
@@ -474,14 +1983,18 @@ bot.on('callback_query', async (query) => {
       break;
 
     case 'set_minbuy':
-      awaitingMinBuyInput.set(chatId, query.message.message_id);
-      await bot.sendMessage(chatId, 'Reply with minimum buy USD value (e.g. 50):', { ...opts });
+      await saveConversation(chatId, query.from.id, { type: 'minbuy', msgId: query.message.message_id });
+      await bot.sendMessage(chatId, `Reply with minimum buy USD value (e.g. 50):${CANCEL_HINT}`, { ...opts });
       break;
 
     case 'tier_menu':
       await bot.sendMessage(chatId, `Reply with:\n/tier small <usd>\n/tier large <usd>`, { ...opts });
       break;
 
+    case 'emoji_menu':
+      await sendEmojiBarMenu(chatId, null, opts);
+      break;
+
     case 'toggle_sells':
       cfg.showSells = !cfg.showSells;
       await setChat(chatId, cfg);
@@ -489,9 +2002,9 @@ bot.on('callback_query', async (query) => {
       break;
 
     case 'set_video':
-      pendingVideo.set(chatId, true);
+      await saveConversation(chatId, query.from.id, { type: 'video' });
       await bot.sendMessage(chatId,
-        '📹 Send the video (MP4, max 50MB) you want to use for alerts.\nOr reply with a direct MP4 URL.',
+        `📹 Send the video (MP4, max 50MB) you want to use for alerts.\nOr reply with a direct MP4 URL.${CANCEL_HINT}`,
         { ...opts }
       );
       break;
@@ -508,8 +2021,11 @@ bot.on('callback_query', async (query) => {
     case 'reset_thread':
       cfg.threadId = null;
       await setChat(chatId, cfg);
-      await bot.sendMessage(chatId, '✅ Topic thread ID cleared. Run /settings in a valid topic to set a new one.', {});
-      await sendSettingsPanel(chatId);
+      await sendTopicsMenu(chatId, query.message.message_id, topicOf(query.message));
+      break;
+
+    case 'topics_menu':
+      await sendTopicsMenu(chatId, query.message.message_id, topicOf(query.message));
       break;
 
     case 'show_status':
@@ -521,8 +2037,16 @@ bot.on('callback_query', async (query) => {
       break;
 
     case 'start_comp':
-      compWizard.set(chatId, { step: 1, data: {} });
-      await bot.sendMessage(chatId, '🏆 Enter duration (minutes):', { ...opts });
+      if (cfg.activeCompetition) {
+        await bot.sendMessage(chatId, 'A competition is already running. End it first.', { ...opts });
+        break;
+      }
+      await bot.sendMessage(chatId, '🏆 Choose the competition type:', {
+        reply_markup: {
+          inline_keyboard: Object.entries(COMP_MODES).map(([id, m]) => ([{ text: m.label, callback_data: `cm:${id}` }]))
+        },
+        ...opts
+      });
       break;
 
     case 'show_leaderboard':
@@ -531,9 +2055,7 @@ bot.on('callback_query', async (query) => {
 
     case 'end_comp':
       if (cfg.activeCompetition) {
-        await postLeaderboard(chatId, true);
-        cfg.activeCompetition = null;
-        await setChat(chatId, cfg);
+        await endCompetition(chatId);
         await bot.sendMessage(chatId, '🛑 Competition ended.', { ...opts });
       } else {
         await bot.sendMessage(chatId, 'No active competition.', { ...opts });
@@ -542,28 +2064,84 @@ bot.on('callback_query', async (query) => {
 
     default:
       if (query.data.startsWith('rm:')) {
-        const pool = query.data.slice(3);
         const cfg2 = await getChat(chatId);
-        if (cfg2.pools.includes(pool)) {
-          cfg2.pools = cfg2.pools.filter(p => p !== pool);
-          delete cfg2.tokenSymbols[pool];
+        const pool = poolRefForKey(cfg2, query.data.slice(3));
+        if (pool) {
+          removeTrackedPool(cfg2, pool);
           await setChat(chatId, cfg2);
         }
         await sendSettingsPanel(chatId);
+      } else if (query.data.startsWith('an:')) {
+        const [, network, panelMsgId] = query.data.split(':');
+        await saveConversation(chatId, query.from.id, { type: 'token', msgId: Number(panelMsgId) || null, network });
+        await bot.sendMessage(chatId, `Reply with the ${networkName(network)} token address (0x...) to add:${CANCEL_HINT}`, { ...opts });
+      } else if (query.data.startsWith('cm:')) {
+        const mode = query.data.slice(3);
+        if (!COMP_MODES[mode]) break;
+        await saveConversation(chatId, query.from.id, { type: 'comp', mode, step: 0, data: {} });
+        await bot.sendMessage(chatId, `${COMP_MODES[mode].label}\n${COMP_STEPS[COMP_MODES[mode].steps[0]].prompt}${CANCEL_HINT}`, { ...opts });
+      } else if (query.data.startsWith('eb:')) {
+        const [, side, field, value] = query.data.split(':');
+        await updateEmojiBar(chatId, (bar) => {
+          if (side === 'toggle') bar.enabled = !bar.enabled;
+          else for (const s of side === 'both' ? ['buy', 'sell'] : [side]) bar[s][field] = Number(value);
+        });
+        await sendEmojiBarMenu(chatId, query.message.message_id, opts);
+      } else if (query.data.startsWith('ap:')) {
+        await handlePoolPick(chatId, query.from.id, query.message.message_id, query.data.slice(3), opts);
+      } else if (query.data.startsWith('rt:')) {
+        await updateRoute(chatId, query.data, topicOf(query.message));
+        await sendTopicsMenu(chatId, query.message.message_id, topicOf(query.message));
       }
       break;
   }
 });
 
+// -------- Bot membership changes --------
+bot.on('my_chat_member', async (update) => {
+  const chatId = update.chat.id;
+  const member = update.new_chat_member || {};
+  const canPost = member.status === 'member' || member.status === 'administrator' || member.status === 'creator' ||
+    (member.status === 'restricted' && member.is_member && member.can_send_messages !== false);
+
+  try {
+    if (!canPost) {
+      await suspendChat(chatId, `bot status: ${member.status}`);
+      return;
+    }
+    if (await resumeChat(chatId)) {
+      const cfg = await getChat(chatId);
+      if (chatPools(cfg).length) {
+        await bot.sendMessage(chatId, '👋 Back online — trade alerts resumed.', { message_thread_id: cfg.threadId || undefined });
+      }
+    }
+  } catch (e) {
+    console.error(`[CHAT] my_chat_member handling failed for ${chatId}:`, e.message);
+  }
+});
+
 // -------- Single Message Handler (video + wizard + inputs) --------
 bot.on('message', async (msg) => {
   const chatId = msg.chat.id;
+
+  if (msg.migrate_to_chat_id) {
+    await migrateChat(chatId, msg.migrate_to_chat_id);
+    return;
+  }
+
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
 
   if (msg.text && msg.text.startsWith('/')) return;
+  if (!msg.from) return;
+
+  // only the user who started a flow can answer it; everyone else's messages are ignored
+  const userId = msg.from.id;
+  const state = await getConversation(chatId, userId);
+  if (!state) return;
+  if (!(await canConfigure(msg.chat, msg.from, msg.sender_chat))) return;
 
-  if (pendingVideo.has(chatId)) {
+  if (state.type === 'video') {
     if (msg.video || (msg.document && msg.document.mime_type?.startsWith('video/'))) {
       const fileId = msg.video ? msg.video.file_id : msg.document.file_id;
       const isValid = await validateVideoFileId(chatId, fileId);
@@ -573,7 +2151,7 @@ bot.on('message', async (msg) => {
       cfg.videoChatId = chatId;
       cfg.videoValid = isValid;
       await setChat(chatId, cfg);
-      pendingVideo.delete(chatId);
+      await endConversation(chatId, userId);
 
       await bot.sendMessage(chatId, `✅ Video saved${isValid ? '' : ' (warning)'}!`, { ...opts });
 
@@ -598,7 +2176,7 @@ bot.on('message', async (msg) => {
       cfg.videoChatId = chatId;
       cfg.videoValid = true;
       await setChat(chatId, cfg);
-      pendingVideo.delete(chatId);
+      await endConversation(chatId, userId);
       await bot.sendMessage(chatId, `✅ Video URL saved!`, { ...opts });
     } else {
       await bot.sendMessage(chatId, `❌ Please send a video file or a direct MP4 URL.`, { ...opts });
@@ -608,11 +2186,11 @@ bot.on('message', async (msg) => {
 
   if (!msg.text) return;
 
-  if (awaitingTokenInput.has(chatId)) {
+  if (state.type === 'token') {
     const token = msg.text.trim();
     const isAddr = /^0x[a-fA-F0-9]{40}$/.test(token);
-    const msgId = awaitingTokenInput.get(chatId);
-    awaitingTokenInput.delete(chatId);
+    const { msgId, network } = state;
+    await endConversation(chatId, userId);
 
     if (!isAddr) {
       await bot.sendMessage(chatId, '❌ Invalid address. Please send a valid 0x token address.', { ...opts });
@@ -620,25 +2198,15 @@ bot.on('message', async (msg) => {
       return;
     }
 
-    const top = await fetchTopPoolForToken(token);
-    if (top) {
-      const cfg2 = await getChat(chatId);
-      if (!cfg2.pools.includes(top.pool)) cfg2.pools.push(top.pool);
-      cfg2.tokenSymbols[top.pool] = top.symbol || 'TOKEN';
-      await setChat(chatId, cfg2);
-      await bot.sendMessage(chatId, `✅ Tracking ${top.symbol} (${top.pool.slice(0,6)}…${top.pool.slice(-4)})`, { ...opts });
-      await sendSettingsPanel(chatId, msgId);
-    } else {
-      await bot.sendMessage(chatId, '❌ No pool found for that token on this network (or rate-limited). Try again in a moment.', { ...opts });
-      await sendSettingsPanel(chatId, msgId);
-    }
+    const added = await startTokenAdd(chatId, userId, token, network, opts, msgId);
+    if (!added) await sendSettingsPanel(chatId, msgId);
     return;
   }
 
-  if (awaitingMinBuyInput.has(chatId)) {
+  if (state.type === 'minbuy') {
     const val = Number(msg.text);
-    const msgId = awaitingMinBuyInput.get(chatId);
-    awaitingMinBuyInput.delete(chatId);
+    const { msgId } = state;
+    await endConversation(chatId, userId);
 
     if (!Number.isFinite(val) || val < 0) {
       await bot.sendMessage(chatId, '❌ Please enter a valid non-negative number.', { ...opts });
@@ -654,111 +2222,97 @@ bot.on('message', async (msg) => {
     return;
   }
 
-  if (awaitingTierInput.has(chatId)) {
-    const { which, msg: msgId } = awaitingTierInput.get(chatId);
-    awaitingTierInput.delete(chatId);
+  if (state.type === 'comp') {
+    const wizard = state;
+    const steps = COMP_MODES[wizard.mode].steps;
 
-    const val = Number(msg.text);
-    if (!Number.isFinite(val) || val < 0) {
-      await bot.sendMessage(chatId, '❌ Please enter a valid non-negative number.', { ...opts });
-      await sendSettingsPanel(chatId, msgId);
-      return;
+    const error = COMP_STEPS[steps[wizard.step]].parse(msg.text, wizard.data);
+    if (error) return bot.sendMessage(chatId, error, { ...opts });
+
+    wizard.step++;
+    if (wizard.step < steps.length) {
+      await saveConversation(chatId, userId, wizard);
+      return bot.sendMessage(chatId, COMP_STEPS[steps[wizard.step]].prompt, { ...opts });
     }
 
-    const cfg2 = await getChat(chatId);
-    cfg2.tiers[which] = val;
-    await setChat(chatId, cfg2);
-    await bot.sendMessage(chatId, `✅ ${which.toUpperCase()} tier set to $${val}`, { ...opts });
-    await sendSettingsPanel(chatId, msgId);
+    await endConversation(chatId, userId);
+    await startCompetition(chatId, wizard.mode, wizard.data);
+    await sendSettingsPanel(chatId);
     return;
   }
-
-  if (compWizard.has(chatId)) {
-    const wizard = compWizard.get(chatId);
-    const data = wizard.data;
-
-    if (wizard.step === 1) {
-      const minutes = Number(msg.text);
-      if (!minutes || minutes < 1) return bot.sendMessage(chatId, 'Enter a valid duration in minutes:', { ...opts });
-      data.duration = minutes;
-      wizard.step = 2;
-      return bot.sendMessage(chatId, 'Enter minimum buy USD to qualify:', { ...opts });
-    }
-    if (wizard.step === 2) {
-      data.minBuyUsd = Number(msg.text) || 0;
-      wizard.step = 3;
-      return bot.sendMessage(chatId, 'Enter prize for 🥇 1st place:', { ...opts });
-    }
-    if (wizard.step === 3) {
-      data.prize1 = msg.text;
-      wizard.step = 4;
-      return bot.sendMessage(chatId, 'Enter prizes for 🥈 2nd and 🥉 3rd (comma separated):', { ...opts });
-    }
-    if (wizard.step === 4) {
-      const [p2, p3] = msg.text.split(',').map(x => x.trim());
-      data.prizes = [data.prize1, p2, p3];
-      const cfg2 = await getChat(chatId);
-      cfg2.activeCompetition = {
-        endsAt: Date.now() + data.duration * 60 * 1000,
-        minBuyUsd: data.minBuyUsd,
-        prizes: data.prizes,
-        leaderboard: {}
-      };
-      await setChat(chatId, cfg2);
-      compWizard.delete(chatId);
-      await bot.sendMessage(chatId,
-        `🎉 Big Buy Competition Started!\n⏳ ${data.duration} min\n💵 Min Buy $${data.minBuyUsd}\n` +
-        `🥇 ${data.prizes[0]}\n🥈 ${data.prizes[1]}\n🥉 ${data.prizes[2]}`, { ...opts });
-      await sendSettingsPanel(chatId);
-      return;
-    }
-  }
-});
+});
 
 // -------- Backward-compatible commands --------
-bot.onText(/\/add (0x[a-fA-F0-9]{40})/, async (msg, match) => {
+bot.onText(/\/add (0x[a-fA-F0-9]{40})(?: ([\w-]+))?/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  const token = match[1];
-  const top = await fetchTopPoolForToken(token);
-  if (!top) return bot.sendMessage(chatId, '❌ No pool found (or rate-limited). Try again in a moment.', { ...opts });
-
-  if (!cfg.pools.includes(top.pool)) cfg.pools.push(top.pool);
-  cfg.tokenSymbols[top.pool] = top.symbol || 'TOKEN';
-  await setChat(chatId, cfg);
+  const network = (match[2] || GECKO_NETWORK).toLowerCase();
+  if (network === 'rpc') return addRpcPool(chatId, match[1], opts);
+  if (!NETWORKS[network]) {
+    return bot.sendMessage(chatId, `❌ Unknown network "${escapeHtml(network)}". Known: ${Object.keys(NETWORKS).map(escapeHtml).join(', ')}`, { parse_mode: 'HTML', ...opts });
+  }
+  await startTokenAdd(chatId, msg.from.id, match[1], network, opts);
+});
 
-  const chart = `https://www.geckoterminal.com/${GECKO_NETWORK}/pools/${top.pool}`;
-  await bot.sendMessage(chatId, `✅ Tracking <b>${escapeHtml(top.symbol)}</b>\nPool: <code>${top.pool}</code>`, {
-    parse_mode: 'HTML',
-    reply_markup: { inline_keyboard: [[{ text: '📈 Chart', url: chart }]] },
-    ...opts
+// /add <pool> rpc: a raw pool on RPC_NETWORK, read from the chain without GeckoTerminal
+async function addRpcPool(chatId, poolAddr, opts) {
+  if (!useRpcSource) {
+    return bot.sendMessage(chatId, '❌ Raw pools need the RPC trade source (set WS_RPC_URL or RPC_URL).', { ...opts });
+  }
+  const found = await fetchRpcPool(poolAddr).catch((e) => {
+    console.warn(`[RPC] pool lookup failed for ${poolAddr}:`, e.message);
+    return null;
   });
-});
+  if (!found) {
+    return bot.sendMessage(chatId, `❌ No V2/V3 pool at that address on ${escapeHtml(networkName(rpcNetwork))} (or the RPC is unreachable).`, { parse_mode: 'HTML', ...opts });
+  }
+  const cfg = await getChat(chatId);
+  const token = addTrackedPools(cfg, rpcNetwork, found.token, found.symbol, [found.pool]);
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId, trackingText(token), { parse_mode: 'HTML', ...opts });
+}
 
-bot.onText(/\/remove (0x[a-fA-F0-9]{40})/, async (msg, match) => {
+bot.onText(/\/remove (0x[a-fA-F0-9]{40})(?: ([\w-]+))?/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  const token = match[1];
-  const top = await fetchTopPoolForToken(token);
-  if (!top) return bot.sendMessage(chatId, '❌ Could not resolve a pool for that token.', { ...opts });
-  cfg.pools = cfg.pools.filter(p => p !== top.pool);
-  delete cfg.tokenSymbols[top.pool];
+  const addr = match[1].toLowerCase();
+  const network = match[2]?.toLowerCase() === 'rpc' ? rpcNetwork : (match[2] || GECKO_NETWORK).toLowerCase();
+  if (!NETWORKS[network] && network !== rpcNetwork) {
+    return bot.sendMessage(chatId, `❌ Unknown network "${escapeHtml(network)}". Known: ${Object.keys(NETWORKS).map(escapeHtml).join(', ')}`, { parse_mode: 'HTML', ...opts });
+  }
+
+  // accepts either a tracked token address (drops all its pools) or a single pool address
+  const token = cfg.tokens.find(t => t.address === addr && (t.network || GECKO_NETWORK) === network);
+  if (token) {
+    const pools = token.pools;
+    for (const p of pools) removeTrackedPool(cfg, trackedPoolRef(p));   // also clears their topic routes
+    await setChat(chatId, cfg);
+    return bot.sendMessage(chatId, `🛑 Stopped tracking ${escapeHtml(token.symbol)} (${pools.length} pool${pools.length === 1 ? '' : 's'})`, { ...opts });
+  }
+  const ref = poolRef(network, addr);
+  if (!findPool(cfg, ref)) return bot.sendMessage(chatId, '❌ That token or pool is not tracked here (on that network).', { ...opts });
+  removeTrackedPool(cfg, ref);
   await setChat(chatId, cfg);
-  await bot.sendMessage(chatId, `🛑 Stopped tracking pool ${top.pool}`, { ...opts });
+  await bot.sendMessage(chatId, `🛑 Stopped tracking pool ${addr}`, { ...opts });
 });
 
 bot.onText(/\/list/, async (msg) => {
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  if (!cfg.pools.length) return bot.sendMessage(chatId, 'No pools yet. Add with /add 0xYourToken or use /settings → Add Token', { ...opts });
-  const lines = cfg.pools.map(p => `• <code>${p}</code> (${escapeHtml(cfg.tokenSymbols[p] || 'TOKEN')})`);
+  if (!cfg.tokens.length) return bot.sendMessage(chatId, 'No pools yet. Add with /add 0xYourToken [network] or use /settings → Add Token', { ...opts });
+  const lines = cfg.tokens.map(t =>
+    `• <b>${escapeHtml(t.symbol)}</b> (${escapeHtml(networkName(t.network || GECKO_NETWORK))})${t.address ? ` <code>${t.address}</code>` : ''}\n` +
+    t.pools.map(p => `   ↳ ${escapeHtml(poolLabel(p))} <code>${p.address}</code>`).join('\n'));
   await bot.sendMessage(chatId, `<b>Tracking:</b>\n${lines.join('\n')}`, { parse_mode: 'HTML', ...opts });
 });
 
 bot.onText(/\/minbuy (\d+(\.\d+)?)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
@@ -768,7 +2322,19 @@ bot.onText(/\/minbuy (\d+(\.\d+)?)/, async (msg, match) => {
   await bot.sendMessage(chatId, `✅ Minimum buy set to $${min}`, { ...opts });
 });
 
+bot.onText(/\/catchup (\d+)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const max = Math.max(1, Number(match[1]));
+  cfg.catchUpMax = max;
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId, `✅ Catch-up limit set to ${max} alerts per poll`, { ...opts });
+});
+
 bot.onText(/\/setvideo(?: (https?:\/\/\S+))?$/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
@@ -781,15 +2347,16 @@ bot.onText(/\/setvideo(?: (https?:\/\/\S+))?$/, async (msg, match) => {
     await setChat(chatId, cfg);
     await bot.sendMessage(chatId, '✅ Video URL set.', { ...opts });
   } else {
-    pendingVideo.set(chatId, true);
+    await saveConversation(chatId, msg.from.id, { type: 'video' });
     await bot.sendMessage(chatId,
-      '📹 Send the MP4 video (max 50MB) for alerts.\nOr send a direct MP4 URL next.',
+      `📹 Send the MP4 video (max 50MB) for alerts.\nOr send a direct MP4 URL next.${CANCEL_HINT}`,
       { ...opts }
     );
   }
 });
 
 bot.onText(/\/emoji (small|mid|large) (.+)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
@@ -800,7 +2367,44 @@ bot.onText(/\/emoji (small|mid|large) (.+)/, async (msg, match) => {
   await bot.sendMessage(chatId, `✅ ${which} emoji → ${value}`, { ...opts });
 });
 
+bot.onText(/\/emoji (buy|sell) (\S+)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const side = match[1];
+  const value = match[2];
+  await updateEmojiBar(chatId, (bar) => { bar[side].emoji = value; });
+  await bot.sendMessage(chatId, `✅ ${side} bar emoji → ${value}`, { ...opts });
+});
+
+bot.onText(/\/emoji (step|max) (?:(buy|sell) )?(\d+(?:\.\d+)?)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const field = match[1];
+  const sides = match[2] ? [match[2]] : ['buy', 'sell'];
+  const value = field === 'max' ? Math.max(1, Math.floor(Number(match[3]))) : Number(match[3]);
+  if (!(value > 0)) return bot.sendMessage(chatId, '❌ Please enter a positive number.', { ...opts });
+
+  await updateEmojiBar(chatId, (bar) => { sides.forEach(s => { bar[s][field] = value; }); });
+  const what = field === 'step' ? `one emoji per $${value}` : `max ${value} emojis`;
+  await bot.sendMessage(chatId, `✅ ${sides.join(' & ')} bar: ${what}`, { ...opts });
+});
+
+bot.onText(/\/emoji bar (on|off)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const enabled = match[1] === 'on';
+  await updateEmojiBar(chatId, (bar) => { bar.enabled = enabled; });
+  await bot.sendMessage(chatId, `✅ Emoji bar is now ${enabled ? 'ON' : 'OFF'}`, { ...opts });
+});
+
 bot.onText(/\/tier (small|large) (\d+)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
@@ -812,6 +2416,7 @@ bot.onText(/\/tier (small|large) (\d+)/, async (msg, match) => {
 });
 
 bot.onText(/\/showsells (on|off)/, async (msg, match) => {
+  if (!(await requireAdmin(msg))) return;
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
@@ -821,243 +2426,3163 @@ bot.onText(/\/showsells (on|off)/, async (msg, match) => {
   await bot.sendMessage(chatId, `✅ Sell alerts are now ${value ? 'ON' : 'OFF'}`, { ...opts });
 });
 
+// -------- Alert template --------
+bot.onText(/\/template(?:@\w+)?(?:[ \t]+(set|show|preview|reset))?([\s\S]*)/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const action = match[1];
+  const body = (match[2] || '').replace(/^[ \t]*\n?/, '');
+
+  if (!action) {
+    const list = Object.entries(TEMPLATE_PLACEHOLDERS).map(([k, d]) => `<code>{${k}}</code> — ${d}`).join('\n');
+    return bot.sendMessage(chatId,
+      `<b>Alert template</b> (${cfg.template ? 'custom' : 'default'})\n\n` +
+      `/template set &lt;text&gt; — save a template (Telegram HTML, multi-line)\n` +
+      `/template preview [text] — preview with a sample trade\n` +
+      `/template show — show the current template\n` +
+      `/template reset — back to the default\n\n` +
+      `Lines whose placeholders have no value are left out.\n\n${list}`,
+      { parse_mode: 'HTML', ...opts });
+  }
+
+  if (action === 'show') {
+    return bot.sendMessage(chatId, `<pre>${escapeHtml(cfg.template || DEFAULT_TEMPLATE)}</pre>`, { parse_mode: 'HTML', ...opts });
+  }
+
+  if (action === 'set' || action === 'reset') {
+    if (!(await requireAdmin(msg))) return;
+  }
+
+  if (action === 'reset') {
+    cfg.template = null;
+    await setChat(chatId, cfg);
+    return bot.sendMessage(chatId, '✅ Alert template reset to the default.', { ...opts });
+  }
+
+  const tpl = action === 'set' || body.trim() ? body : (cfg.template || DEFAULT_TEMPLATE);
+  const error = validateTemplate(tpl);
+  if (error) return bot.sendMessage(chatId, `❌ ${escapeHtml(error)}`, { parse_mode: 'HTML', ...opts });
+
+  const preview = renderTemplate(tpl, sampleAlertVars(cfg));
+  if (preview.length > CAPTION_LIMIT) {
+    return bot.sendMessage(chatId, `❌ Rendered alert is ${preview.length} chars; Telegram captions are limited to ${CAPTION_LIMIT}.`, { ...opts });
+  }
+
+  try {
+    await bot.sendMessage(chatId, preview, { parse_mode: 'HTML', disable_web_page_preview: true, ...opts });
+  } catch (e) {
+    return bot.sendMessage(chatId, `❌ Telegram rejected the template: ${escapeHtml(e.message)}`, { parse_mode: 'HTML', ...opts });
+  }
+
+  if (action === 'set') {
+    cfg.template = tpl;
+    await setChat(chatId, cfg);
+    await bot.sendMessage(chatId, '✅ Alert template saved (preview above).', { ...opts });
+  }
+});
+
+// -------- Operators --------
+bot.onText(/\/operator(?:@\w+)? (add|remove|list)(?: (\d+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const action = match[1];
+  cfg.operators = cfg.operators || [];
+
+  if (action === 'list') {
+    if (!cfg.operators.length) return bot.sendMessage(chatId, 'No bot operators. Admins can add one with /operator add (reply to a user).', { ...opts });
+    const lines = cfg.operators.map(o => `• ${escapeHtml(o.name || 'user')} (<code>${o.id}</code>)`);
+    return bot.sendMessage(chatId, `<b>Bot operators:</b>\n${lines.join('\n')}`, { parse_mode: 'HTML', ...opts });
+  }
+
+  // managing operators is reserved for real chat admins, operators can't promote others
+  const isAdmin = msg.chat.type === 'private' || msg.sender_chat?.id === chatId ||
+    (msg.from && await isChatAdmin(chatId, msg.from.id));
+  if (!isAdmin) return bot.sendMessage(chatId, '⛔ Only group admins can manage bot operators.', { reply_to_message_id: msg.message_id, ...opts });
+
+  const target = msg.reply_to_message?.from;
+  const userId = match[2] ? Number(match[2]) : target?.id;
+  if (!userId) return bot.sendMessage(chatId, `Reply to a user's message with /operator ${action}, or pass their numeric user id.`, { ...opts });
+
+  if (action === 'add') {
+    if (!isOperator(cfg, userId)) {
+      const name = target?.id === userId ? (target.username ? '@' + target.username : target.first_name) : null;
+      cfg.operators.push({ id: userId, name });
+    }
+    await setChat(chatId, cfg);
+    return bot.sendMessage(chatId, `✅ User ${userId} can now manage the bot.`, { ...opts });
+  }
+
+  cfg.operators = cfg.operators.filter(o => o.id !== userId);
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId, `🗑 User ${userId} is no longer a bot operator.`, { ...opts });
+});
+
 bot.onText(/\/status/, async (msg) => {
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
 
-  const pools = cfg.pools.length ? cfg.pools.map(p => `<code>${p}</code>`).join('\n') : 'None';
+  const pools = cfg.tokens.length
+    ? cfg.tokens.flatMap(t => t.pools.map(p => `${escapeHtml(t.symbol)} • ${escapeHtml(networkName(p.network || GECKO_NETWORK))} • ${escapeHtml(poolLabel(p))}: <code>${p.address}</code>`)).join('\n')
+    : 'None';
   const videoStatus = cfg.videoFileId
     ? (cfg.videoValid ? `✅ custom set (chat ${cfg.videoChatId})` : `⚠️ invalid file (chat ${cfg.videoChatId})`)
     : (cfg.videoUrl ? `🔗 ${cfg.videoUrl}` : '❌ none');
 
+  const bar = emojiBarSettings(cfg);
+
   const statusText =
     `<b>Current Config</b>\n` +
     `Pools:\n${pools}\n\n` +
     `Min Buy: $${cfg.minBuyUsd}\n` +
     `Sells: ${cfg.showSells ? 'ON' : 'OFF'}\n` +
     `Whale Tier: $${cfg.tiers.large}, Mid Tier: $${cfg.tiers.small}\n` +
+    `Emoji Bar: ${bar.enabled ? `${bar.buy.emoji} per $${bar.buy.step} (max ${bar.buy.max}), ${bar.sell.emoji} per $${bar.sell.step} (max ${bar.sell.max})` : 'OFF'}\n` +
+    `Catch-up Limit: ${catchUpCap(cfg)} alerts\n` +
+    `Digest: ${cfg.digest?.enabled ? `${cfg.digest.period} at ${cfg.digest.time} ${escapeHtml(cfg.digest.tz)}` : 'OFF'}\n` +
     `Video: ${videoStatus}\n` +
-    `Thread ID: ${cfg.threadId ? cfg.threadId : 'None'}\n` +
+    `Default Topic: ${topicLabel(cfg.threadId)}${routeCount(cfg) ? ` (+${routeCount(cfg)} routing rules)` : ''}\n` +
     `${cfg.activeCompetition ? '🏆 Big Buy Comp ACTIVE' : ''}\n` +
     `Onchain base: ${escapeHtml(ONCHAIN_BASE)}`;
 
   await bot.sendMessage(chatId, statusText, { parse_mode: 'HTML', ...opts });
 });
 
-bot.onText(/\/ping/, async (msg) => {
+bot.onText(/\/report(?:@\w+)?(?: (24h|7d))?/, async (msg, match) => {
   const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  await bot.sendMessage(chatId, '✅ Bot is online and running.', { ...opts });
+  const text = await buildReport(cfg, match[1] || '24h');
+  await bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...opts });
 });
 
-// -------- Leaderboard + Competition --------
-async function postLeaderboard(chatId, final = false) {
+bot.onText(/\/digest(?:@\w+)?(?: (on|off|daily|weekly|time)(?: (\d{1,2}:\d{2}))?(?: (\S+))?)?/, async (msg, match) => {
+  const chatId = msg.chat.id;
   const cfg = await getChat(chatId);
   const opts = { message_thread_id: cfg.threadId || undefined };
-  if (!cfg.activeCompetition) return await bot.sendMessage(chatId, final ? 'No qualifying buys. Competition ended.' : 'No entries yet.', { ...opts });
+  const digest = digestSettings(cfg);
+  const action = match[1];
+
+  if (!action) {
+    return bot.sendMessage(chatId,
+      `<b>Digest:</b> ${digest.enabled ? `${digest.period} at ${digest.time} ${escapeHtml(digest.tz)}` : 'OFF'}\n\n` +
+      `/digest on|off\n/digest daily|weekly (weekly = Mondays)\n/digest time 09:00 Europe/Berlin\n/report 24h|7d — report right now`,
+      { parse_mode: 'HTML', ...opts });
+  }
+  if (!(await requireAdmin(msg))) return;
 
-  const lb = Object.entries(cfg.activeCompetition.leaderboard || {}).sort((a,b) => b[1] - a[1]);
-  if (!lb.length) return await bot.sendMessage(chatId, final ? 'No qualifying buys. Competition ended.' : 'No entries yet.', { ...opts });
+  if (action === 'on' || action === 'off') digest.enabled = action === 'on';
+  if (action === 'daily' || action === 'weekly') {
+    digest.period = action;
+    digest.enabled = true;
+  }
+  if (action === 'time') {
+    if (!match[2]) return bot.sendMessage(chatId, 'Usage: /digest time HH:MM [timezone], e.g. /digest time 18:30 Asia/Singapore', { ...opts });
+    const [h, m] = match[2].split(':').map(Number);
+    if (h > 23 || m > 59) return bot.sendMessage(chatId, '❌ Invalid time. Use 24h HH:MM.', { ...opts });
+    if (match[3] && !isValidTimeZone(match[3])) return bot.sendMessage(chatId, `❌ Unknown timezone "${match[3]}". Use an IANA name like Europe/London.`, { ...opts });
+    digest.time = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    if (match[3]) digest.tz = match[3];
+    digest.enabled = true;
+  }
 
-  let msgText = final ? '🎉 <b>Big Buy Competition Over!</b>\n\n' : '📊 <b>Current Leaderboard</b>\n\n';
-  lb.slice(0, 10).forEach(([wallet, amount], i) => {
-    msgText += `${['🥇','🥈','🥉'][i] || (i+1)+'.'} ${wallet.slice(0,6)}…${wallet.slice(-4)} — $${amount.toFixed(2)}\n`;
-  });
+  cfg.digest = digest;
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId,
+    digest.enabled ? `✅ ${digest.period === 'weekly' ? 'Weekly (Mondays)' : 'Daily'} digest at ${digest.time} ${digest.tz}` : '✅ Digest turned off.',
+    { ...opts });
+});
 
-  if (final && cfg.activeCompetition.prizes?.length) {
-    msgText += `\n🏆 Prizes:\n🥇 ${cfg.activeCompetition.prizes[0] || '-'}\n🥈 ${cfg.activeCompetition.prizes[1] || '-'}\n🥉 ${cfg.activeCompetition.prizes[2] || '-'}`;
+bot.onText(/\/alert(?:@\w+)?(?: (.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const rules = cfg.milestones || [];
+  const [action, arg1, arg2] = (match[1] || '').trim().split(/\s+/);
+
+  if (!action || action === 'list') {
+    const list = rules.length
+      ? rules.map(r => `#${r.id} — ${escapeHtml(milestoneLabel(r))}`).join('\n')
+      : 'No milestone alerts set.';
+    return bot.sendMessage(chatId,
+      `<b>Milestone alerts</b>\n${list}\n\n` +
+      `/alert mc 1000000 — market cap passes $1M (1m / 500k work too)\n` +
+      `/alert pct 20 1h — price up 20% within 1h (use -20 for down; ${Object.keys(MILESTONE_WINDOWS).join(', ')})\n` +
+      `/alert ath — new all-time high\n` +
+      `/alert remove &lt;id|all&gt;`,
+      { parse_mode: 'HTML', ...opts });
+  }
+  if (!(await requireAdmin(msg))) return;
+
+  if (action === 'remove') {
+    if (arg1 === 'all') cfg.milestones = [];
+    else {
+      const id = Number(arg1);
+      if (!rules.some(r => r.id === id)) return bot.sendMessage(chatId, '❌ No alert with that id. See /alert list.', { ...opts });
+      cfg.milestones = rules.filter(r => r.id !== id);
+    }
+    await setChat(chatId, cfg);
+    return bot.sendMessage(chatId, '✅ Milestone alert removed.', { ...opts });
   }
 
-  await bot.sendMessage(chatId, msgText, { parse_mode: 'HTML', ...opts });
-}
+  if (rules.length >= MAX_MILESTONES) {
+    return bot.sendMessage(chatId, `❌ Up to ${MAX_MILESTONES} milestone alerts per chat. Remove one first.`, { ...opts });
+  }
 
-// -------- Auto-End Checker --------
-setInterval(async () => {
-  const keys = redis ? await redis.keys('chat:*:config') : [...memoryStore.keys()].map(k => `chat:${k}:config`);
-  for (const k of keys) {
-    const chatId = Number(k.split(':')[1]);
-    const cfg = redis ? JSON.parse(await redis.get(k)) : memoryStore.get(chatId);
-    if (cfg?.activeCompetition && Date.now() >= cfg.activeCompetition.endsAt) {
-      await postLeaderboard(chatId, true);
-      cfg.activeCompetition = null;
-      await setChat(chatId, cfg);
+  let rule;
+  if (action === 'mc') {
+    const value = parseUsdAmount(arg1);
+    if (!(value > 0)) return bot.sendMessage(chatId, 'Usage: /alert mc 1000000', { ...opts });
+    rule = { type: 'mc', value };
+  } else if (action === 'pct') {
+    const value = Number(arg1);
+    const window = (arg2 || '1h').toLowerCase();
+    if (!Number.isFinite(value) || value === 0 || !MILESTONE_WINDOWS[window]) {
+      return bot.sendMessage(chatId, `Usage: /alert pct 20 1h (windows: ${Object.keys(MILESTONE_WINDOWS).join(', ')})`, { ...opts });
     }
+    rule = { type: 'pct', value, window };
+  } else if (action === 'ath') {
+    if (rules.some(r => r.type === 'ath')) return bot.sendMessage(chatId, 'ℹ️ ATH alerts are already on.', { ...opts });
+    rule = { type: 'ath' };
+  } else {
+    return bot.sendMessage(chatId, 'Unknown option. Send /alert for usage.', { ...opts });
   }
-}, 30000);
 
-// -------- Pool polling + broadcasting --------
-let poolRoundRobin = [];
+  rule.id = rules.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+  rule.state = {};
+  cfg.milestones = [...rules, rule];
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId, `✅ Alert #${rule.id} added: ${milestoneLabel(rule)}`, { ...opts });
+});
 
-async function refreshPoolSet() {
-  try {
-    const keys = redis
-      ? await redis.keys('chat:*:config')
-      : [...memoryStore.keys()].map(k => `chat:${k}:config`);
+bot.onText(/\/liquidity(?:@\w+)?(?: (on|off|pct|usd|window|min)(?: (\S+))?)?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const liq = liquiditySettings(cfg);
+  const [action, arg] = [match[1], match[2]];
+
+  if (!action) {
+    return bot.sendMessage(chatId,
+      `<b>Liquidity alerts:</b> ${liq.enabled ? 'ON' : 'OFF'}\n` +
+      `Trigger: ${liq.pct > 0 ? `±${liq.pct}%` : ''}${liq.pct > 0 && liq.usd > 0 ? ' or ' : ''}${liq.usd > 0 ? `±$${formatUSD(liq.usd)}` : ''} within ${liq.window}\n` +
+      `LP add/remove events (RPC) from $${formatUSD(liq.minEventUsd)}\n\n` +
+      `/liquidity on|off\n/liquidity pct 20 (0 = off)\n/liquidity usd 5000 (0 = off)\n` +
+      `/liquidity window ${Object.keys(LIQUIDITY_WINDOWS).join('|')}\n/liquidity min 1000 — smallest LP event to post`,
+      { parse_mode: 'HTML', ...opts });
+  }
+  if (!(await requireAdmin(msg))) return;
 
-    const set = new Set();
-    for (const k of keys) {
-      const chatId = Number(k.split(':')[1]);
-      let cfg;
-      try {
-        cfg = redis ? JSON.parse(await redis.get(k) || '{}') : memoryStore.get(chatId);
-      } catch {
-        continue;
-      }
-      if (!cfg?.pools?.length) continue;
-      cfg.pools.forEach((p) => set.add(p));
+  if (action === 'on' || action === 'off') liq.enabled = action === 'on';
+  else if (action === 'window') {
+    if (!LIQUIDITY_WINDOWS[arg]) return bot.sendMessage(chatId, `❌ Window must be one of: ${Object.keys(LIQUIDITY_WINDOWS).join(', ')}`, { ...opts });
+    liq.window = arg;
+  } else {
+    const n = Number(arg);
+    if (!Number.isFinite(n) || n < 0) return bot.sendMessage(chatId, `Usage: /liquidity ${action} <number>`, { ...opts });
+    if (action === 'pct') liq.pct = n;
+    if (action === 'usd') liq.usd = n;
+    if (action === 'min') liq.minEventUsd = n;
+    if (!liq.pct && !liq.usd) return bot.sendMessage(chatId, '❌ Keep a % or a USD trigger (or use /liquidity off).', { ...opts });
+  }
+
+  cfg.liquidity = liq;
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId, liq.enabled ? '✅ Liquidity alerts updated.' : '✅ Liquidity alerts turned off.', { ...opts });
+});
+
+bot.onText(/\/compboard(?:@\w+)?(?: (every|live|ranks)(?: (\S+))?)?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const board = compBoardSettings(cfg);
+  const [action, arg] = [match[1], match[2]];
+
+  if (!action) {
+    return bot.sendMessage(chatId,
+      `<b>Competition leaderboard</b>\n` +
+      `Posts: ${board.every ? `every ${board.every} min` : 'OFF'}${board.live ? ' (live pinned message, edited in place)' : ''}\n` +
+      `Rank replies on buys: ${board.ranks ? 'ON' : 'OFF'}\n` +
+      `Reminders at ${COMP_REMINDERS.map(r => r.label).join(', ')} left\n\n` +
+      `/compboard every 15 (minutes, off = no scheduled posts)\n/compboard live on|off\n/compboard ranks on|off`,
+      { parse_mode: 'HTML', ...opts });
+  }
+  if (!(await requireAdmin(msg))) return;
+
+  if (action === 'every') {
+    const minutes = arg === 'off' ? 0 : Number(arg);
+    if (!Number.isFinite(minutes) || minutes < 0 || (minutes > 0 && minutes < 1)) {
+      return bot.sendMessage(chatId, 'Usage: /compboard every <minutes ≥ 1>|off', { ...opts });
     }
+    board.every = minutes;
+  } else {
+    if (arg !== 'on' && arg !== 'off') return bot.sendMessage(chatId, `Usage: /compboard ${action} on|off`, { ...opts });
+    board[action] = arg === 'on';
+  }
 
-    poolRoundRobin = Array.from(set);
-    console.log(`[INFO] poolRoundRobin has ${poolRoundRobin.length} pools`);
-  } catch (e) {
-    console.error(`[ERROR] refreshPoolSet failed:`, e.message);
+  cfg.compBoard = board;
+  await setChat(chatId, cfg);
+  await bot.sendMessage(chatId, '✅ Competition leaderboard settings updated.', { ...opts });
+});
+
+bot.onText(/\/ping/, async (msg) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  await bot.sendMessage(chatId, '✅ Bot is online and running.', { ...opts });
+});
+
+// -------- Leaderboard + Competition --------
+// Every qualifying trade is appended to comp:<chatId>:<id>:ledger; standings are always
+// computed from the ledger. Finished competitions are archived under chat:<chatId>:comps.
+const shortWallet = (w) => `${w.slice(0,6)}…${w.slice(-4)}`;
+
+const COMP_MODES = {
+  volume: { label: '💰 Most volume', title: 'Big Buy Competition', steps: ['duration', 'minBuy', 'prize1', 'prizes23', 'netSells'] },
+  biggest: { label: '🐋 Biggest single buy', title: 'Biggest Buy Competition', steps: ['duration', 'minBuy', 'prize1', 'prizes23'] },
+  lastbuy: { label: '⏱ Last buy wins', title: 'Last Buy Wins', steps: ['countdown', 'minBuy', 'prize'] },
+  raffle: { label: '🎟 Raffle', title: 'Buy Raffle', steps: ['duration', 'ticketUsd', 'rafflePrizes'] }
+};
+
+// wizard steps: prompt + parse(text, data) -> error message or null
+const COMP_STEPS = {
+  duration: {
+    prompt: '🏆 Enter duration (minutes):',
+    parse: (text, data) => {
+      const minutes = Number(text);
+      if (!minutes || minutes < 1) return 'Enter a valid duration in minutes:';
+      data.duration = minutes;
+      return null;
+    }
+  },
+  countdown: {
+    prompt: '⏱ Enter the countdown in minutes (it restarts on every qualifying buy):',
+    parse: (text, data) => {
+      const minutes = Number(text);
+      if (!minutes || minutes <= 0) return 'Enter a valid countdown in minutes:';
+      data.duration = minutes;
+      return null;
+    }
+  },
+  minBuy: {
+    prompt: 'Enter minimum buy USD to qualify:',
+    parse: (text, data) => {
+      data.minBuyUsd = Number(text) || 0;
+      return null;
+    }
+  },
+  ticketUsd: {
+    prompt: '🎟 Enter USD per raffle ticket (e.g. 50 = one ticket for every $50 in a buy):',
+    parse: (text, data) => {
+      const usd = Number(text);
+      if (!(usd > 0)) return 'Enter a positive USD amount per ticket:';
+      data.ticketUsd = usd;
+      data.minBuyUsd = usd;
+      return null;
+    }
+  },
+  prize1: {
+    prompt: 'Enter prize for 🥇 1st place:',
+    parse: (text, data) => {
+      data.prize1 = text;
+      return null;
+    }
+  },
+  prizes23: {
+    prompt: 'Enter prizes for 🥈 2nd and 🥉 3rd (comma separated):',
+    parse: (text, data) => {
+      const [p2, p3] = text.split(',').map(x => x.trim());
+      data.prizes = [data.prize1, p2, p3];
+      return null;
+    }
+  },
+  prize: {
+    prompt: 'Enter the prize for the last buyer:',
+    parse: (text, data) => {
+      data.prizes = [text.trim()];
+      return null;
+    }
+  },
+  rafflePrizes: {
+    prompt: 'Enter raffle prizes, comma separated (one winner is drawn per prize):',
+    parse: (text, data) => {
+      data.prizes = text.split(',').map(x => x.trim()).filter(Boolean);
+      if (!data.prizes.length) return 'Enter at least one prize:';
+      return null;
+    }
+  },
+  netSells: {
+    prompt: 'Subtract sells by the same wallet from its total? (yes/no):',
+    parse: (text, data) => {
+      data.netSells = /^(y|yes)$/i.test(text.trim());
+      return null;
+    }
   }
+};
+
+async function startCompetition(chatId, mode, data) {
+  const cfg = await getChat(chatId);
+  const startedAt = Date.now();
+  const durationMs = data.duration * 60 * 1000;
+  cfg.activeCompetition = {
+    id: await nextCompId(chatId),
+    mode,
+    startedAt,
+    endsAt: startedAt + durationMs,
+    countdownMs: mode === 'lastbuy' ? durationMs : null,
+    minBuyUsd: data.minBuyUsd,
+    ticketUsd: data.ticketUsd || null,
+    netSells: !!data.netSells,
+    prizes: data.prizes,
+    totals: true   // keeps comp:<chat>:<id>:totals for rank replies
+  };
+  await setChat(chatId, cfg);
+
+  const rules = {
+    volume: `⏳ ${data.duration} min\n💵 Min Buy $${data.minBuyUsd}\n` + (data.netSells ? '🔻 Sells are subtracted\n' : ''),
+    biggest: `⏳ ${data.duration} min\n💵 Min Buy $${data.minBuyUsd}\n🐋 Biggest single buy wins\n`,
+    lastbuy: `⏱ ${data.duration} min countdown, restarts on every buy ≥ $${data.minBuyUsd}\n👑 Last buyer when it hits zero wins\n`,
+    raffle: `⏳ ${data.duration} min\n🎟 One ticket per $${data.ticketUsd} bought\n`
+  }[mode];
+  const prizes = mode === 'volume' || mode === 'biggest'
+    ? `🥇 ${data.prizes[0]}\n🥈 ${data.prizes[1]}\n🥉 ${data.prizes[2]}`
+    : data.prizes.map((p, i) => `${medal(i)} ${p}`).join('\n');
+
+  await bot.sendMessage(chatId, `🎉 ${COMP_MODES[mode].title} Started!\n${rules}${prizes}`, { ...routeOpts(cfg, 'competition') });
 }
 
-refreshPoolSet();
-setInterval(refreshPoolSet, 10000);
+async function nextCompId(chatId) {
+  if (redis) return redis.incr(`chat:${chatId}:compSeq`);
+  const key = `chat:${chatId}:compSeq`;
+  const id = (memoryStore.get(key) || 0) + 1;
+  memoryStore.set(key, id);
+  return id;
+}
 
-async function seen(pool, tradeId) {
-  if (!tradeId) return false;
-  const key = `pool:${pool}:lastTradeId`;
-  const last = redis ? await redis.get(key) : memoryStore.get(key);
-  if (last === tradeId) return true;
-  if (redis) await redis.set(key, tradeId);
-  else memoryStore.set(key, tradeId);
-  return false;
+async function appendCompLedger(chatId, compId, entry) {
+  const key = `comp:${chatId}:${compId}:ledger`;
+  if (redis) return redis.rpush(key, JSON.stringify(entry));
+  memoryStore.set(key, [...(memoryStore.get(key) || []), entry]);
 }
 
-async function safeSend(chatId, sendFn) {
-  try {
-    const cfg = await getChat(chatId);
-    const opts = { message_thread_id: cfg.threadId || undefined };
-    await sendFn(opts);
-  } catch (e) {
-    console.error(`[ERROR] Telegram send failed for chat ${chatId}:`, e.message);
+// comp:<chat>:<id>:totals: wallet -> the mode's running score (zset), so a rank reply is a few
+// O(log n) lookups instead of a ledger replay. Competitions without the `totals` flag (started
+// before it existed) fall back to compStandings.
+function compTotalsKey(chatId, compId) {
+  return `comp:${chatId}:${compId}:totals`;
+}
+
+async function updateCompTotals(chatId, comp, wallet, type, usd) {
+  const mode = comp.mode || 'volume';
+  if (!comp.totals || mode === 'lastbuy') return;   // last-buy replies need no ranking
+  const key = compTotalsKey(chatId, comp.id);
+
+  if (mode === 'biggest') {
+    if (type !== 'buy') return;
+    if (redis) return redis.zadd(key, 'GT', usd, wallet);
+    const totals = memoryStore.get(key) || new Map();
+    totals.set(wallet, Math.max(totals.get(wallet) || 0, usd));
+    return memoryStore.set(key, totals);
   }
+
+  let delta = 0;
+  if (type === 'sell') delta = mode === 'volume' && comp.netSells ? -usd : 0;
+  else delta = mode === 'raffle' ? (comp.ticketUsd > 0 ? Math.floor(usd / comp.ticketUsd) : 0) : usd;
+  if (!delta) return;
+  if (redis) return redis.zincrby(key, delta, wallet);
+  const totals = memoryStore.get(key) || new Map();
+  totals.set(wallet, (totals.get(wallet) || 0) + delta);
+  memoryStore.set(key, totals);
 }
 
-async function broadcastTrade(pool, trade) {
-  const keys = redis ? await redis.keys('chat:*:config') : [...memoryStore.keys()].map(k => `chat:${k}:config`);
-  for (const k of keys) {
-    const chatId = Number(k.split(':')[1]);
-    const cfg = redis ? JSON.parse(await redis.get(k)) : memoryStore.get(chatId);
-    if (!cfg || !cfg.pools.includes(pool)) continue;
-    if (trade.tradeType === 'sell' && cfg.showSells === false) continue;
+/** Place of `score` among the positive scores, the nearest score on either side and whether it's tied. */
+function rankFromScores(scores, score) {
+  const ranked = scores.filter(s => s > 0);
+  const higher = ranked.filter(s => s > score);
+  const lower = ranked.filter(s => s < score);
+  const aheadScore = higher.length ? higher.reduce((a, b) => Math.min(a, b)) : null;
+  return {
+    place: higher.length + 1,
+    total: ranked.length,
+    score,
+    tied: ranked.filter(s => s === score).length > 1,
+    ahead: aheadScore == null ? null : { score: aheadScore, place: ranked.filter(s => s > aheadScore).length + 1 },
+    below: lower.length ? lower.reduce((a, b) => Math.max(a, b)) : null
+  };
+}
 
-    const usd = Number(trade.amountUsd || 0);
-    if (usd < (cfg.minBuyUsd || 0)) continue;
+/** The wallet's rank in the running competition (see rankFromScores), null if it isn't ranked. */
+async function compRank(chatId, comp, wallet) {
+  if (!comp.totals) {
+    const standings = await compStandings(chatId, comp);
+    const me = standings.find(r => r.wallet === wallet);
+    return me ? rankFromScores(standings.map(r => r.score), me.score) : null;
+  }
 
-    if (cfg.activeCompetition) {
-      cfg.activeCompetition.leaderboard[trade.buyer || trade.tx] =
-        (cfg.activeCompetition.leaderboard[trade.buyer || trade.tx] || 0) + usd;
-      await setChat(chatId, cfg);
-    }
+  const key = compTotalsKey(chatId, comp.id);
+  if (!redis) {
+    const totals = memoryStore.get(key) || new Map();
+    const score = totals.get(wallet);
+    return score > 0 ? rankFromScores([...totals.values()], score) : null;
+  }
 
-    // ✅ extra data is optional; also skip it during cooldown to avoid extra requests
-    let extraData = '';
-    if (!cooling()) {
-      try {
-        const tokenAddr = trade.toToken || trade.fromToken;
-        if (tokenAddr) {
-          const tokenUrl = dexUrl(`/networks/${GECKO_NETWORK}/tokens/${tokenAddr.toLowerCase()}`);
-          const poolUrl  = dexUrl(`/networks/${GECKO_NETWORK}/pools/${pool}`);
-
-          const [tokenRes, poolRes] = await Promise.all([
-            onchainGet(tokenUrl, 60000),
-            onchainGet(poolUrl, 60000)
-          ]);
-
-          const tokenAttr = tokenRes?.data?.attributes || {};
-          const poolAttr = poolRes?.data?.attributes || {};
-          const price = Number(trade.priceUsd || tokenAttr.price_usd || 0);
-
-          let mcLabel = 'MC';
-          let mcValue = Number(tokenAttr.market_cap_usd ?? 0);
-          if (!mcValue && price > 0) {
-            const circ = adjustSupply(tokenAttr.circulating_supply, tokenAttr.decimals ?? 18);
-            if (circ > 0) mcValue = circ * price;
-            else if (tokenAttr.fdv_usd) {
-              mcValue = Number(tokenAttr.fdv_usd);
-              mcLabel = 'FDV';
-            } else {
-              const total = adjustSupply(tokenAttr.total_supply, tokenAttr.decimals ?? 18);
-              if (total > 0) {
-                mcValue = total * price;
-                mcLabel = 'FDV';
-              }
-            }
-          }
+  const raw = await redis.zscore(key, wallet);
+  const score = Number(raw);
+  if (raw == null || !(score > 0)) return null;
+  const [higher, total, same, ahead, below] = await Promise.all([
+    redis.zcount(key, `(${score}`, '+inf'),
+    redis.zcount(key, '(0', '+inf'),
+    redis.zcount(key, score, score),
+    redis.zrangebyscore(key, `(${score}`, '+inf', 'WITHSCORES', 'LIMIT', 0, 1),
+    redis.zrevrangebyscore(key, `(${score}`, '(0', 'WITHSCORES', 'LIMIT', 0, 1)
+  ]);
+  const aheadScore = ahead.length ? Number(ahead[1]) : null;
+  return {
+    place: higher + 1,
+    total,
+    score,
+    tied: same > 1,
+    ahead: aheadScore == null ? null : { score: aheadScore, place: (await redis.zcount(key, `(${aheadScore}`, '+inf')) + 1 },
+    below: below.length ? Number(below[1]) : null
+  };
+}
 
-          if (mcValue && mcValue > 0) extraData += `📊 ${mcLabel}: $${formatUSD(mcValue)}\n`;
-          if (poolAttr.reserve_in_usd) extraData += `💧 Liquidity: $${formatUSD(Number(poolAttr.reserve_in_usd))}\n`;
-          if (poolAttr.volume_usd_24h) extraData += `📈 24h Vol: $${formatUSD(Number(poolAttr.volume_usd_24h))}\n`;
-          if (tokenAttr.price_percent_change_24h != null) {
-            const pct = Number(tokenAttr.price_percent_change_24h);
-            if (Number.isFinite(pct)) extraData += `📊 24h Change: ${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%\n`;
-          }
-          if (tokenAttr.unique_wallet_count) extraData += `👥 Holders: ${tokenAttr.unique_wallet_count}\n`;
-        }
-      } catch (e) {
-        // silent
-      }
+async function readCompLedger(chatId, compId) {
+  if (compId == null) return [];
+  const key = `comp:${chatId}:${compId}:ledger`;
+  if (redis) return (await redis.lrange(key, 0, -1)).map(r => JSON.parse(r));
+  return memoryStore.get(key) || [];
+}
+
+/**
+ * Buys >= comp min count as entries; sells are kept so standings can net them out.
+ * Returns { entered, changed }: whether the trade went into the ledger, and whether the
+ * competition itself changed (last-buy-wins timer reset).
+ */
+async function recordCompetitionTrade(chatId, comp, trade) {
+  if (comp.id == null) return { entered: false, changed: false };
+  const t = tradeTime(trade) || Date.now();
+  if (comp.startedAt && t < comp.startedAt) return { entered: false, changed: false };
+  if (t > comp.endsAt) return { entered: false, changed: false };
+
+  const usd = Number(trade.amountUsd || 0);
+  const type = trade.tradeType === 'sell' ? 'sell' : 'buy';
+  if (type === 'buy' && usd < (comp.minBuyUsd || 0)) return { entered: false, changed: false };
+
+  const wallet = (trade.buyer || trade.tx).toLowerCase();
+  await appendCompLedger(chatId, comp.id, { wallet, tx: trade.tx, usd, type, ts: t });
+  await updateCompTotals(chatId, comp, wallet, type, usd);
+
+  if (comp.mode === 'lastbuy' && type === 'buy') {
+    comp.endsAt = Math.max(comp.endsAt, t + comp.countdownMs);
+    return { entered: true, changed: true };
+  }
+  return { entered: true, changed: false };
+}
+
+/**
+ * [{ wallet, buyUsd, sellUsd, buys, maxBuy, lastBuyAt, tickets, score }] sorted by the
+ * mode's score, only wallets with a qualifying buy:
+ *   volume = cumulative USD (optionally net of sells), biggest = largest single buy,
+ *   lastbuy = time of the wallet's last buy, raffle = tickets (one per ticketUsd per buy)
+ */
+function computeStandings(comp, ledger) {
+  const mode = comp.mode || 'volume';
+  const rows = new Map();
+  const row = (wallet) => {
+    if (!rows.has(wallet)) rows.set(wallet, { wallet, buyUsd: 0, sellUsd: 0, buys: 0, maxBuy: 0, lastBuyAt: 0, tickets: 0 });
+    return rows.get(wallet);
+  };
+
+  // competitions started before the ledger existed kept a wallet -> usd map
+  for (const [wallet, usd] of Object.entries(comp.leaderboard || {})) {
+    const r = row(wallet.toLowerCase());
+    r.buyUsd += usd;
+    r.maxBuy = Math.max(r.maxBuy, usd);
+    r.buys++;
+  }
+  for (const e of ledger) {
+    const r = row(e.wallet);
+    if (e.type === 'sell') {
+      r.sellUsd += e.usd;
+      continue;
     }
+    r.buyUsd += e.usd;
+    r.buys++;
+    r.maxBuy = Math.max(r.maxBuy, e.usd);
+    r.lastBuyAt = Math.max(r.lastBuyAt, e.ts);
+    if (comp.ticketUsd > 0) r.tickets += Math.floor(e.usd / comp.ticketUsd);
+  }
 
-    const isSell = trade.tradeType === 'sell';
-    const emoji = isSell ? '🔴' : tierEmoji(cfg, usd);
-    const action = isSell ? 'SELL' : 'BUY';
-    const symbol = cfg.tokenSymbols[pool] || 'TOKEN';
-    const priceStr = trade.priceUsd ? `$${trade.priceUsd.toFixed(6)}` : '—';
-    const amountTok = trade.amountToken ? trade.amountToken.toLocaleString(undefined, { maximumFractionDigits: 6 }) : '—';
-    const txUrl = EXPLORER_TX_URL + trade.tx;
-    const chart = `https://www.geckoterminal.com/${GECKO_NETWORK}/pools/${pool}`;
-
-    const caption =
-      `${emoji} <b>${action}</b> • <b>${escapeHtml(symbol)}</b>\n` +
-      `💵 <b>$${usd.toFixed(2)}</b>\n` +
-      `🧮 ${amountTok} ${escapeHtml(symbol)} @ ${priceStr}\n` +
-      extraData +
-      (trade.buyer ? `👤 ${escapeHtml(trade.buyer.slice(0,6))}…${escapeHtml(trade.buyer.slice(-4))}\n` : '') +
-      `🔗 <a href="${txUrl}">TX</a>`;
+  const score = {
+    volume: (r) => (comp.netSells ? r.buyUsd - r.sellUsd : r.buyUsd),
+    biggest: (r) => r.maxBuy,
+    lastbuy: (r) => r.lastBuyAt,
+    raffle: (r) => r.tickets
+  }[mode];
+
+  return [...rows.values()]
+    .filter(r => r.buys > 0)
+    .map(r => ({ ...r, score: score(r) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
 
-    const replyMarkup = {
-      inline_keyboard: [[{ text: '📈 Chart', url: chart }, { text: '🔎 TX', url: txUrl }]]
-    };
+async function compStandings(chatId, comp) {
+  return computeStandings(comp, await readCompLedger(chatId, comp.id));
+}
 
-    await safeSend(chatId, async () => {
-      const usedVideo = await safeSendVideo(chatId, cfg, caption, replyMarkup, cfg.threadId);
-      if (!usedVideo) {
-        await bot.sendMessage(chatId, caption, {
-          parse_mode: 'HTML',
-          disable_web_page_preview: true,
-          message_thread_id: cfg.threadId || undefined,
-          reply_markup: replyMarkup
-        });
-      }
-    });
+const medal = (i) => ['🥇','🥈','🥉'][i] || (i+1)+'.';
+
+function formatStandings(comp, standings, limit = 10) {
+  const value = {
+    volume: (r) => `$${r.score.toFixed(2)}`,
+    biggest: (r) => `$${r.score.toFixed(2)} single buy`,
+    lastbuy: (r) => `last buy ${new Date(r.score).toISOString().slice(11, 19)} UTC`,
+    raffle: (r) => `🎟 ${r.score} ticket${r.score === 1 ? '' : 's'}`
+  }[comp.mode || 'volume'];
+  return standings.slice(0, limit).map((r, i) => `${medal(i)} ${shortWallet(r.wallet)} — ${value(r)}`).join('\n');
+}
+
+function formatPrizes(prizes) {
+  return `🏆 Prizes:\n🥇 ${prizes[0] || '-'}\n🥈 ${prizes[1] || '-'}\n🥉 ${prizes[2] || '-'}`;
+}
+
+function formatWinners(comp, winners) {
+  const prizes = comp.prizes || [];
+  return '🏆 Winners:\n' + winners.map((w, i) => `${medal(i)} ${shortWallet(w)} — ${escapeHtml(prizes[i] || '-')}`).join('\n');
+}
+
+function formatCountdown(ms) {
+  const sec = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const ss = String(sec % 60).padStart(2, '0');
+  return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}:${ss}`;
+}
+
+function drawRaffle(standings, count) {
+  const entries = standings.map(r => ({ wallet: r.wallet, tickets: r.score }));
+  const winners = [];
+  while (winners.length < count && entries.length) {
+    const total = entries.reduce((acc, r) => acc + r.tickets, 0);
+    let pick = crypto.randomInt(total);
+    const i = entries.findIndex(r => (pick -= r.tickets) < 0);
+    winners.push(entries.splice(i, 1)[0].wallet);
   }
+  return winners;
 }
 
-async function tickOnce() {
-  if (cooling()) return;
-  if (!poolRoundRobin.length) return;
+function pickWinners(comp, standings) {
+  const count = Math.max(1, (comp.prizes || []).filter(Boolean).length);
+  if (comp.mode === 'raffle') return drawRaffle(standings, count);
+  if (comp.mode === 'lastbuy') return standings.slice(0, 1).map(r => r.wallet);
+  return standings.slice(0, 3).map(r => r.wallet);
+}
+
+async function postLeaderboard(chatId, final = false, standings = null, winners = null) {
+  const cfg = await getChat(chatId);
+  const text = await leaderboardText(chatId, cfg.activeCompetition, final, standings, winners);
+  await bot.sendMessage(chatId, text, { parse_mode: 'HTML', ...routeOpts(cfg, 'competition') });
+}
 
-  const pool = poolRoundRobin.shift();
-  poolRoundRobin.push(pool);
+/** HTML leaderboard (final = results with winners) for a competition, or the "no entries" line. */
+async function leaderboardText(chatId, comp, final = false, standings = null, winners = null) {
+  const empty = final ? 'No qualifying buys. Competition ended.' : 'No entries yet.';
+  if (!comp) return empty;
+
+  const lb = standings || await compStandings(chatId, comp);
+  if (!lb.length) return empty;
+
+  const mode = COMP_MODES[comp.mode || 'volume'];
+  let msgText = final
+    ? `🎉 <b>${mode.title} Over!</b>\n\n`
+    : `📊 <b>Current Leaderboard</b> • ${mode.label}\n\n`;
+
+  if (comp.mode === 'lastbuy' && !final) {
+    msgText += `👑 Last buyer: ${shortWallet(lb[0].wallet)}\n⏱ Time left: ${formatCountdown(comp.endsAt - Date.now())}\n\n`;
+  }
+  if (comp.mode === 'raffle') {
+    msgText += `🎟 ${lb.reduce((acc, r) => acc + r.score, 0)} tickets in the draw ($${comp.ticketUsd} per ticket)\n\n`;
+  }
 
-  const trades = await fetchTradesForPool(pool);
-  if (!trades.length) return;
+  msgText += formatStandings(comp, lb) + '\n';
+  if (comp.netSells) msgText += '<i>Sells by the same wallet are netted out.</i>\n';
 
-  const latest = trades[0];
-  if (latest?.id && await seen(pool, latest.id)) return;
-  if (latest?.id) await broadcastTrade(pool, latest);
+  if (final && winners?.length) {
+    msgText += `\n${formatWinners(comp, winners)}`;
+  } else if (final && comp.prizes?.length) {
+    msgText += `\n${formatPrizes(comp.prizes)}`;
+  }
+  return msgText;
 }
 
-// ✅ IMPORTANT: Do NOT schedule at 100ms anymore (it creates a backlog).
-const scheduleMs = Number(SCHED_INTERVAL_MS || GECKO_TICK_MS || POLL_INTERVAL_MS || 3000);
-setInterval(() => queue.add(tickOnce).catch(console.error), scheduleMs);
+async function archiveCompetition(chatId, comp, standings, winners) {
+  if (comp.id == null) return null;
+  const record = {
+    id: comp.id,
+    mode: comp.mode || 'volume',
+    startedAt: comp.startedAt || null,
+    endsAt: comp.endsAt,
+    endedAt: Date.now(),
+    minBuyUsd: comp.minBuyUsd,
+    ticketUsd: comp.ticketUsd || null,
+    netSells: !!comp.netSells,
+    prizes: comp.prizes || [],
+    standings,
+    winners
+  };
+  if (redis) {
+    await redis.set(`comp:${chatId}:${comp.id}`, JSON.stringify(record));
+    await redis.lpush(`chat:${chatId}:comps`, comp.id);
+  } else {
+    memoryStore.set(`comp:${chatId}:${comp.id}`, record);
+    memoryStore.set(`chat:${chatId}:comps`, [comp.id, ...(memoryStore.get(`chat:${chatId}:comps`) || [])]);
+  }
+  return record;
+}
+
+async function getArchivedCompetition(chatId, compId) {
+  if (redis) {
+    const raw = await redis.get(`comp:${chatId}:${compId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+  return memoryStore.get(`comp:${chatId}:${compId}`) || null;
+}
+
+async function listArchivedCompetitions(chatId, limit = 10) {
+  const ids = redis
+    ? await redis.lrange(`chat:${chatId}:comps`, 0, limit - 1)
+    : (memoryStore.get(`chat:${chatId}:comps`) || []).slice(0, limit);
+  const records = await Promise.all(ids.map(id => getArchivedCompetition(chatId, id)));
+  return records.filter(Boolean);
+}
+
+/** Posts final standings, archives the competition and clears it from the chat config. */
+async function endCompetition(chatId) {
+  const cfg = await getChat(chatId);
+  const comp = cfg.activeCompetition;
+  if (!comp) return false;
+
+  const standings = await compStandings(chatId, comp);
+  const winners = pickWinners(comp, standings);
+  if (comp.liveMessageId) await closeLiveLeaderboard(chatId, comp, standings, winners);
+  await postLeaderboard(chatId, true, standings, winners);
+  const record = await archiveCompetition(chatId, comp, standings, winners);
+  if (redis) await redis.del(compTotalsKey(chatId, comp.id));
+  else memoryStore.delete(compTotalsKey(chatId, comp.id));
+
+  const cfg2 = await getChat(chatId);
+  cfg2.activeCompetition = null;
+  await setChat(chatId, cfg2);
+
+  if (record) {
+    const opts = routeOpts(cfg2, 'competition');
+    await bot.sendMessage(chatId, `🗂 Archived as competition #${record.id}. Full results: /comp ${record.id}`, { ...opts });
+  }
+  return true;
+}
+
+function csvCell(v) {
+  const str = String(v ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function standingsCsv(record) {
+  return toCsv(['rank', 'wallet', 'buys', 'buy_usd', 'sell_usd', 'max_buy_usd', 'tickets', 'winner'],
+    record.standings.map((r, i) => [
+      i + 1, r.wallet, r.buys, r.buyUsd.toFixed(2), r.sellUsd.toFixed(2), (r.maxBuy || 0).toFixed(2), r.tickets || 0,
+      record.winners?.includes(r.wallet) ? 'yes' : ''
+    ]));
+}
+
+async function sendCompetitionCsv(chatId, record, ledgerOnly, opts) {
+  const csv = ledgerOnly
+    ? toCsv(['timestamp', 'wallet', 'type', 'usd', 'tx'],
+      (await readCompLedger(chatId, record.id)).map(e => [new Date(e.ts).toISOString(), e.wallet, e.type, e.usd.toFixed(2), e.tx]))
+    : standingsCsv(record);
+
+  await bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), { ...opts }, {
+    filename: `competition-${record.id}${ledgerOnly ? '-ledger' : ''}.csv`,
+    contentType: 'text/csv'
+  });
+}
+
+bot.onText(/\/comps\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const comps = await listArchivedCompetitions(chatId);
+  if (!comps.length) return bot.sendMessage(chatId, 'No finished competitions yet.', { ...opts });
+
+  const lines = comps.map(c => {
+    const top = c.winners?.[0] || c.standings[0]?.wallet;
+    const winner = top ? `🥇 ${shortWallet(top)}` : 'no entries';
+    const mode = COMP_MODES[c.mode || 'volume'].label;
+    return `#${c.id} • ${new Date(c.endedAt).toISOString().slice(0, 10)} • ${mode} • ${c.standings.length} wallets • ${winner}`;
+  });
+  await bot.sendMessage(chatId, `<b>Past competitions</b>\n${lines.join('\n')}\n\nDetails: /comp &lt;id&gt;`, { parse_mode: 'HTML', ...opts });
+});
+
+bot.onText(/\/comp (\d+)(?: (ledger))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const record = await getArchivedCompetition(chatId, Number(match[1]));
+  if (!record) return bot.sendMessage(chatId, `❌ Competition #${match[1]} not found. See /comps.`, { ...opts });
+
+  const started = record.startedAt ? new Date(record.startedAt).toISOString().slice(0, 16).replace('T', ' ') : '?';
+  const ended = new Date(record.endedAt).toISOString().slice(0, 16).replace('T', ' ');
+  const text =
+    `🏆 <b>Competition #${record.id}</b> • ${COMP_MODES[record.mode || 'volume'].label}\n` +
+    `🗓 ${started} → ${ended} UTC\n` +
+    (record.ticketUsd ? `🎟 $${record.ticketUsd} per ticket\n\n` : `💵 Min Buy $${record.minBuyUsd}${record.netSells ? ' • sells netted' : ''}\n\n`) +
+    (record.standings.length ? formatStandings(record, record.standings) : 'No qualifying buys.') +
+    (record.winners?.length ? `\n\n${formatWinners(record, record.winners)}` : (record.prizes.length ? `\n\n${formatPrizes(record.prizes)}` : ''));
+
+  await bot.sendMessage(chatId, text, { parse_mode: 'HTML', ...opts });
+  await sendCompetitionCsv(chatId, record, !!match[2], opts)
+    .catch(e => console.error(`[COMP] CSV export failed for chat ${chatId}:`, e.message));
+});
+
+// -------- Competition scheduler (auto-end, reminders, leaderboard posts) --------
+// Runs every COMP_SCHEDULE_MS on the leader. Per competition it keeps `reminded` (thresholds
+// already announced; a last-buy timer reset re-arms them), `lastBoardAt` and, in live mode,
+// `liveMessageId` of the pinned board that is edited instead of reposted.
+const COMP_SCHEDULE_MS = 10000;
+const COMP_REMINDERS = [
+  { ms: 60 * 60 * 1000, label: '1 hour' },
+  { ms: 10 * 60 * 1000, label: '10 minutes' },
+  { ms: 60 * 1000, label: '1 minute' }
+];
+const liveBoardDirty = new Set();   // chats with new entries since the live board was last edited
+
+function defaultCompBoard() {
+  // every = minutes between leaderboard posts, 0 = off; ranks is opt-in since each rank reply is a second send per buy
+  return { every: 0, live: false, ranks: false };
+}
+
+function compBoardSettings(cfg) {
+  return { ...defaultCompBoard(), ...cfg.compBoard };
+}
+
+/** "🏆 #3 of 12 — $120.50 behind #2" for a buyer's compRank in the running competition, null if unranked. */
+function rankText(comp, rank) {
+  const mode = comp.mode || 'volume';
+  if (mode === 'lastbuy') return `👑 Last buyer now — ⏱ ${formatCountdown(comp.endsAt - Date.now())} on the clock`;
+  if (!rank) return null;
+
+  const gap = (a, b) => (mode === 'raffle' ? `${a - b} ticket${a - b === 1 ? '' : 's'}` : `$${formatUSD(a - b, 2)}`);
+  const place = `#${rank.place} of ${rank.total}`;
+  if (rank.tied) return `${rank.place === 1 ? '🥇' : '🏆'} ${place} — tied`;
+  if (rank.place === 1) return rank.below != null ? `🥇 ${place} — ${gap(rank.score, rank.below)} ahead of #2` : `🥇 ${place}`;
+  return `🏆 ${place} — ${gap(rank.ahead.score, rank.score)} behind #${rank.ahead.place}`;
+}
+
+// writes back only the scheduler's fields so trades recorded meanwhile aren't overwritten
+async function saveCompSchedule(chatId, comp) {
+  const cfg = await getChat(chatId);
+  if (cfg.activeCompetition?.id !== comp.id) return;
+  const { reminded, lastBoardAt, liveMessageId } = comp;
+  Object.assign(cfg.activeCompetition, { reminded, lastBoardAt, liveMessageId });
+  await setChat(chatId, cfg);
+}
+
+/** Edits (or first posts + pins) the live leaderboard; returns true when a new message was posted. */
+async function refreshLiveLeaderboard(chatId, cfg) {
+  const comp = cfg.activeCompetition;
+  const text = `${await leaderboardText(chatId, comp)}\n<i>🔴 Live • updated ${new Date().toISOString().slice(11, 16)} UTC</i>`;
+
+  if (comp.liveMessageId) {
+    try {
+      await bot.editMessageText(text, { chat_id: chatId, message_id: comp.liveMessageId, parse_mode: 'HTML' });
+      return false;
+    } catch (e) {
+      if (/not modified/i.test(e.message)) return false;
+      if (retryAfterSeconds(e) != null) {
+        liveBoardDirty.add(chatId);
+        return false;
+      }
+      console.warn(`[COMP] live leaderboard edit failed in ${chatId}, reposting:`, e.message);
+    }
+  }
+
+  const sent = await bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_notification: true, ...routeOpts(cfg, 'competition') });
+  comp.liveMessageId = sent.message_id;
+  await bot.pinChatMessage(chatId, sent.message_id, { disable_notification: true })
+    .catch(e => console.warn(`[COMP] can't pin the live leaderboard in ${chatId}:`, e.message));
+  return true;
+}
+
+async function closeLiveLeaderboard(chatId, comp, standings, winners) {
+  const text = await leaderboardText(chatId, comp, true, standings, winners);
+  await bot.editMessageText(text, { chat_id: chatId, message_id: comp.liveMessageId, parse_mode: 'HTML' }).catch(() => {});
+  await bot.unpinChatMessage(chatId, { message_id: comp.liveMessageId }).catch(() => {});
+}
+
+async function runCompetitionSchedule(chatId) {
+  const cfg = await getChat(chatId);
+  const comp = cfg.activeCompetition;
+  if (!comp) return;
+  const now = Date.now();
+  if (now >= comp.endsAt) return endCompetition(chatId);
+  if (cfg.suspended) return;
+
+  const board = compBoardSettings(cfg);
+  const left = comp.endsAt - now;
+  const opts = routeOpts(cfg, 'competition');
+  let dirty = false;
+
+  // a reminder is only due if the competition (or last-buy countdown) is longer than it;
+  // after a restart only the nearest one is posted
+  const span = comp.countdownMs || comp.endsAt - (comp.startedAt || 0);
+  const armed = (comp.reminded || []).filter(ms => left <= ms);
+  const due = COMP_REMINDERS.filter(r => left <= r.ms && !armed.includes(r.ms) && span > r.ms);
+  if (due.length || armed.length !== (comp.reminded || []).length) {
+    comp.reminded = [...armed, ...due.map(r => r.ms)];
+    dirty = true;
+  }
+  if (due.length) {
+    const top = formatStandings(comp, await compStandings(chatId, comp), 3);
+    const text = `⏰ <b>${due[due.length - 1].label} left</b> in the ${COMP_MODES[comp.mode || 'volume'].title}!` +
+      (top ? `\n\n${top}` : '\n\nNo entries yet — buy to get on the board!');
+    await bot.sendMessage(chatId, text, { parse_mode: 'HTML', ...opts });
+  }
+
+  const boardDue = board.every > 0 && now - (comp.lastBoardAt || comp.startedAt || 0) >= board.every * 60000;
+  if (boardDue) {
+    comp.lastBoardAt = now;
+    dirty = true;
+  }
+  const entries = liveBoardDirty.delete(chatId);
+  if (board.live) {
+    if (boardDue || entries || !comp.liveMessageId) {
+      if (await refreshLiveLeaderboard(chatId, cfg)) dirty = true;
+    }
+  } else if (boardDue) {
+    await postLeaderboard(chatId);
+  }
+
+  if (dirty) await saveCompSchedule(chatId, comp);
+}
+
+setInterval(async () => {
+  if (!isLeader()) return;
+  for (const chatId of await competitionChatIds()) {
+    await runCompetitionSchedule(chatId).catch(e => console.error(`[COMP] schedule failed for chat ${chatId}:`, e.message));
+  }
+}, COMP_SCHEDULE_MS);
+
+// -------- Trade log + digest reports --------
+// pool:<pool>:trades is a sorted set (score = block time ms) of compact trade JSON, kept ~8 days.
+// Each entry also carries the normalizeTrades record (`trade`) for the API's trades endpoint.
+const TRADE_LOG_RETENTION_MS = 8 * 24 * 60 * 60 * 1000;
+const REPORT_PERIODS = { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+
+async function logTrade(pool, trade) {
+  const t = tradeTime(trade) || Date.now();
+  const entry = {
+    id: trade.id,
+    t,
+    type: trade.tradeType === 'sell' ? 'sell' : 'buy',
+    usd: Number(trade.amountUsd || 0),
+    price: tradedTokenPrice(trade),   // the tracked token's price on buys and sells alike
+    buyer: trade.buyer || null,
+    trade: {
+      id: trade.id, tx: trade.tx, priceUsd: trade.priceUsd, tokenPriceUsd: trade.tokenPriceUsd, amountUsd: trade.amountUsd,
+      amountToken: trade.amountToken, tradeType: trade.tradeType, buyer: trade.buyer || null,
+      fromToken: trade.fromToken, toToken: trade.toToken, ts: trade.ts
+    }
+  };
+  const cutoff = Date.now() - TRADE_LOG_RETENTION_MS;
+
+  if (redis) {
+    const key = `pool:${pool}:trades`;
+    await redis.zadd(key, t, JSON.stringify(entry));
+    await redis.zremrangebyscore(key, '-inf', cutoff);
+    return;
+  }
+  const key = `tradelog:${pool}`;
+  const log = (memoryStore.get(key) || []).filter(e => e.t >= cutoff);
+  log.push(entry);
+  memoryStore.set(key, log);
+}
+
+async function readTradeLog(pool, since) {
+  if (redis) {
+    const rows = await redis.zrangebyscore(`pool:${pool}:trades`, since, '+inf');
+    return rows.map(r => JSON.parse(r));
+  }
+  return (memoryStore.get(`tradelog:${pool}`) || []).filter(e => e.t >= since).sort((a, b) => a.t - b.t);
+}
+
+// entries logged before `trade` was stored only have the compact fields
+function loggedTrade(e) {
+  return e.trade || {
+    id: e.id, tx: null, priceUsd: e.price, tokenPriceUsd: e.price, amountUsd: e.usd, amountToken: null,
+    tradeType: e.type, buyer: e.buyer, fromToken: null, toToken: null, ts: new Date(e.t).toISOString()
+  };
+}
+
+/** Newest first, in the normalizeTrades shape. */
+async function recentTrades(pool, limit) {
+  const entries = redis
+    ? (await redis.zrevrange(`pool:${pool}:trades`, 0, limit - 1)).map(r => JSON.parse(r))
+    : (memoryStore.get(`tradelog:${pool}`) || []).slice().sort((a, b) => b.t - a.t).slice(0, limit);
+  return entries.map(loggedTrade);
+}
+
+function summarizeTrades(entries) {
+  const buys = entries.filter(e => e.type === 'buy');
+  const sells = entries.filter(e => e.type === 'sell');
+  const sum = (xs) => xs.reduce((acc, e) => acc + e.usd, 0);
+  const priced = entries.filter(e => e.price > 0);
+  const largest = buys.reduce((best, e) => (!best || e.usd > best.usd ? e : best), null);
+
+  return {
+    buys: buys.length,
+    sells: sells.length,
+    buyUsd: sum(buys),
+    sellUsd: sum(sells),
+    uniqueBuyers: new Set(buys.map(e => e.buyer).filter(Boolean)).size,
+    largest,
+    firstPrice: priced[0]?.price || 0,
+    lastPrice: priced[priced.length - 1]?.price || 0
+  };
+}
+
+async function buildReport(cfg, periodKey) {
+  const since = Date.now() - REPORT_PERIODS[periodKey];
+  let text = `📰 <b>${periodKey} Report</b>\n`;
+  if (!cfg.tokens.length) return text + '\nNo tracked pools.';
+
+  for (const token of cfg.tokens) {
+    for (const pool of token.pools) {
+      const st = summarizeTrades(await readTradeLog(trackedPoolRef(pool), since));
+      text += `\n<b>${escapeHtml(token.symbol)}</b> • ${escapeHtml(poolLabel(pool))}\n`;
+      if (!st.buys && !st.sells) {
+        text += 'No trades in this period.\n';
+        continue;
+      }
+
+      const net = st.buyUsd - st.sellUsd;
+      text +=
+        `🟢 Buys: ${st.buys} ($${formatUSD(st.buyUsd)}) • 👥 ${st.uniqueBuyers} unique buyers\n` +
+        `🔴 Sells: ${st.sells} ($${formatUSD(st.sellUsd)})\n` +
+        `⚖️ Net flow: ${net >= 0 ? '+' : '-'}$${formatUSD(Math.abs(net))}\n`;
+      if (st.largest) {
+        const who = st.largest.buyer ? ` by ${escapeHtml(st.largest.buyer.slice(0,6))}…${escapeHtml(st.largest.buyer.slice(-4))}` : '';
+        text += `🐋 Largest buy: $${formatUSD(st.largest.usd, 2)}${who}\n`;
+      }
+      if (st.firstPrice > 0 && st.lastPrice > 0) {
+        const pct = (st.lastPrice / st.firstPrice - 1) * 100;
+        text += `📈 Price: ${pct >= 0 ? '+' : ''}${pct.toFixed(2)}% ($${st.firstPrice.toFixed(6)} → $${st.lastPrice.toFixed(6)})\n`;
+      }
+    }
+  }
+  return text;
+}
+
+function digestSettings(cfg) {
+  return { enabled: false, period: 'daily', time: '09:00', tz: 'UTC', lastSent: null, ...cfg.digest };
+}
+
+function isValidTimeZone(tz) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// local date/time parts for a timezone: { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'Mon' }
+function localParts(tz, at = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+  }).formatToParts(at).map(p => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, weekday: parts.weekday };
+}
+
+// UTC ms of wall-clock `date` (YYYY-MM-DD) `time` (HH:MM) in `tz`; two passes settle DST offsets
+function zonedTime(date, time, tz) {
+  const naive = Date.parse(`${date}T${time}:00Z`);
+  let t = naive;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(tz, new Date(t));
+    t += naive - Date.parse(`${p.date}T${p.time}:00Z`);
+  }
+  return t;
+}
+
+/** When the next digest is due (ms); in the past if today's is still unsent. Keys the digest:due index. */
+function nextDigestAt(digest, now = Date.now()) {
+  const today = localParts(digest.tz, new Date(now)).date;
+  for (let d = 0; d < 8; d++) {
+    const day = new Date(Date.parse(`${today}T12:00:00Z`) + d * 24 * 60 * 60 * 1000);
+    const date = day.toISOString().slice(0, 10);
+    if (date === digest.lastSent) continue;
+    if (digest.period === 'weekly' && day.getUTCDay() !== 1) continue;
+    return zonedTime(date, digest.time, digest.tz);
+  }
+  return now + 24 * 60 * 60 * 1000;
+}
+
+// -------- Digest Scheduler --------
+// daily digests go out at `time` in `tz`; weekly ones on Mondays. Only chats whose digest:due
+// score has passed are loaded; sending (or any setChat) re-scores the chat.
+const digestsSending = new Set();   // chats whose digest is queued but not yet delivered
+
+async function sendDigest(chatId) {
+  const cfg = await getChat(chatId);
+  const digest = digestSettings(cfg);
+  // turned off or not due after all (stale score): saving re-scores or drops it from the index
+  if (!digest.enabled || cfg.suspended || nextDigestAt(digest) > Date.now()) return redis && setChat(chatId, cfg);
+
+  if (digestsSending.has(chatId)) return;   // still queued from an earlier pass
+  digestsSending.add(chatId);
+  try {
+    const now = localParts(digest.tz);
+    const text = await buildReport(cfg, digest.period === 'weekly' ? '7d' : '24h');
+    const sent = await safeSend(chatId, async (opts) => {
+      await bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...opts });
+    }, null, { type: 'digest' });
+    if (!sent) return;   // not marked sent: the next pass retries it
+
+    const latest = await getChat(chatId);
+    latest.digest = { ...digestSettings(latest), lastSent: now.date };
+    await setChat(chatId, latest);
+  } finally {
+    digestsSending.delete(chatId);
+  }
+}
+
+setInterval(async () => {
+  if (!isLeader()) return;
+  for (const chatId of await dueDigestChatIds()) {
+    await sendDigest(chatId).catch(e => console.error(`[DIGEST] failed for chat ${chatId}:`, e.message));
+  }
+}, 60000);
+
+// -------- Milestone alerts (/alert) --------
+// Rules live on the chat config; rule.state is keyed per tracked token (network-qualified) and is
+// what makes each alert fire once: mc fires a single time per token, pct re-arms only after the
+// move falls back under half its threshold, ath always tracks the high but alerts at most every
+// ATH_ALERT_COOLDOWN_MS so a pump doesn't post one alert per trade.
+const MILESTONE_WINDOWS = { '5m': 5 * 60 * 1000, '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '4h': 4 * 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+const ATH_ALERT_COOLDOWN_MS = 15 * 60 * 1000;
+const MAX_MILESTONES = 10;
+
+function milestoneLabel(rule) {
+  if (rule.type === 'mc') return `Market cap passes $${formatUSD(rule.value)}`;
+  if (rule.type === 'pct') return `Price ${rule.value > 0 ? 'up' : 'down'} ${Math.abs(rule.value)}% within ${rule.window}`;
+  return 'New all-time high';
+}
+
+function parseUsdAmount(raw) {
+  const m = /^\$?([\d.]+)([kmb])?$/i.exec(String(raw).replace(/,/g, ''));
+  if (!m) return NaN;
+  const mult = { k: 1e3, m: 1e6, b: 1e9 }[m[2]?.toLowerCase()] || 1;
+  return Number(m[1]) * mult;
+}
+
+// % change from the first logged trade price inside the window (the trade log keeps 8 days)
+async function priceChangeOver(pool, windowKey, price) {
+  if (!(price > 0)) return null;
+  const since = Date.now() - MILESTONE_WINDOWS[windowKey];
+  let first = null;
+  if (redis) {
+    const rows = await redis.zrangebyscore(`pool:${pool}:trades`, since, '+inf', 'LIMIT', 0, 20);
+    first = rows.map(r => JSON.parse(r)).find(e => e.price > 0);
+  } else {
+    first = (await readTradeLog(pool, since)).find(e => e.price > 0);
+  }
+  return first ? (price / first.price - 1) * 100 : null;
+}
+
+// Seed for ATH rules: highest daily high GeckoTerminal has for the pool, else our own trade log.
+async function historicalHigh(pool) {
+  const { network, address } = parsePoolRef(pool);
+  const res = await onchainGet(dexUrl(`/networks/${network}/pools/${address}/ohlcv/day?limit=1000`), 60 * 60 * 1000);
+  const candles = res?.data?.attributes?.ohlcv_list || [];
+  const high = candles.reduce((max, c) => Math.max(max, Number(c[2]) || 0), 0);
+  if (high > 0) return high;
+  const logged = await readTradeLog(pool, 0);
+  return logged.reduce((max, e) => Math.max(max, e.price || 0), 0);
+}
+
+function milestoneText(rule, tracked, trade, market, pct) {
+  const symbol = escapeHtml(tracked.token.symbol || 'TOKEN');
+  const price = tradedTokenPrice(trade);
+  const priceLine = price > 0 ? `\n💲 Price: $${price.toFixed(6)}` : '';
+  if (rule.type === 'mc') {
+    return `🏁 <b>${symbol} MILESTONE</b>\n\n${market.mcLabel || 'MC'} just passed <b>$${formatUSD(rule.value)}</b>\n` +
+      `📊 Now: $${formatUSD(market.mc)}${priceLine}`;
+  }
+  if (rule.type === 'pct') {
+    return `${pct >= 0 ? '🚀' : '📉'} <b>${symbol} PRICE MOVE</b>\n\n` +
+      `Price ${pct >= 0 ? 'up' : 'down'} <b>${Math.abs(pct).toFixed(1)}%</b> in the last ${rule.window}${priceLine}`;
+  }
+  return `👑 <b>${symbol} NEW ALL-TIME HIGH</b>${priceLine}`;
+}
+
+/**
+ * Evaluates the chat's milestone rules against a trade and queues an alert for each one that fires.
+ * `data` gives lazily-fetched, per-trade shared inputs: market() and change(window).
+ * Returns true when rule state changed and the config must be saved.
+ */
+async function checkMilestones(chatId, cfg, pool, tracked, trade, data) {
+  const { network } = parsePoolRef(pool);
+  const tokenRef = poolRef(network, tracked.token.address || tracked.pool.address);
+  const price = tradedTokenPrice(trade);
+  const now = Date.now();
+  let dirty = false;
+
+  for (const rule of cfg.milestones) {
+    rule.state = rule.state || {};
+    const st = rule.state[tokenRef] || {};
+    let fired = false;
+    let market = {};
+    let pct = null;
+
+    if (rule.type === 'mc') {
+      if (st.firedAt) continue;
+      market = await data.market();
+      if (!(market.mc >= rule.value)) continue;
+      st.firedAt = now;
+      fired = true;
+    } else if (rule.type === 'pct') {
+      pct = await data.change(rule.window);
+      if (pct == null) continue;
+      const reached = rule.value > 0 ? pct >= rule.value : pct <= rule.value;
+      if (st.firedAt && !reached && Math.abs(pct) < Math.abs(rule.value) / 2) {
+        st.firedAt = null;   // re-arm
+        dirty = true;
+      }
+      if (!reached || st.firedAt) {
+        rule.state[tokenRef] = st;
+        continue;
+      }
+      st.firedAt = now;
+      fired = true;
+    } else if (rule.type === 'ath') {
+      if (!(price > 0)) continue;
+      if (st.high == null) {
+        // first sight: seed from history so a token far below its old high doesn't alert
+        st.high = Math.max(await historicalHigh(pool).catch(() => 0), price);
+        rule.state[tokenRef] = st;
+        dirty = true;
+        continue;
+      }
+      if (price <= st.high) continue;
+      st.high = price;
+      dirty = true;
+      if (!st.firedAt || now - st.firedAt >= ATH_ALERT_COOLDOWN_MS) {
+        st.firedAt = now;
+        fired = true;
+      }
+    }
+
+    rule.state[tokenRef] = st;
+    if (!fired) continue;
+    dirty = true;
+
+    const text = milestoneText(rule, tracked, trade, market, pct);
+    const chart = chartUrl(network, parsePoolRef(pool).address);
+    safeSend(chatId, (opts) => bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[{ text: '📈 Chart', url: chart }]] },
+      ...opts
+    }), null, { type: 'milestone', pool }).then(ok => ok && recordAlert(chatId, { kind: 'milestone', symbol: tracked.token.symbol, text: milestoneLabel(rule) }))
+      .catch(e => console.warn('[DASH] alert log write failed:', e.message));
+    console.log(`[MILESTONE] ${rule.type} #${rule.id} fired for ${tokenRef} in chat ${chatId}`);
+  }
+  return dirty;
+}
+
+// -------- Liquidity alerts --------
+// Reserve snapshots (pool:<pool>:reserves, score = ms, ~25h) are taken every LIQUIDITY_POLL_MS for
+// every tracked pool; each chat compares the latest one with the window's high (drops) / low (rises).
+// cfg.liquidity.alerted[pool] remembers the last alert so one move is reported once, unless it
+// keeps going by another full threshold. LP Mint/Burn events come from the RPC listener.
+const LIQUIDITY_WINDOWS = { '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '4h': 4 * 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+const RESERVE_RETENTION_MS = 25 * 60 * 60 * 1000;
+const RUG_DROP_PCT = 50;
+
+function defaultLiquidity() {
+  // opt-in per chat (/liquidity on): every watched pool costs a reserve snapshot request
+  return { enabled: false, pct: 20, usd: 0, window: '1h', minEventUsd: 1000, alerted: {} };
+}
+
+function liquiditySettings(cfg) {
+  return { ...defaultLiquidity(), ...cfg.liquidity };
+}
+
+async function recordReserve(pool, usd, t = Date.now()) {
+  const entry = { t, usd };
+  const cutoff = Date.now() - RESERVE_RETENTION_MS;
+  if (redis) {
+    const key = `pool:${pool}:reserves`;
+    await redis.zadd(key, t, JSON.stringify(entry));
+    await redis.zremrangebyscore(key, '-inf', cutoff);
+    return;
+  }
+  const key = `reserves:${pool}`;
+  const log = (memoryStore.get(key) || []).filter(e => e.t >= cutoff);
+  log.push(entry);
+  memoryStore.set(key, log);
+}
+
+async function readReserves(pool, since) {
+  if (redis) {
+    const rows = await redis.zrangebyscore(`pool:${pool}:reserves`, since, '+inf');
+    return rows.map(r => JSON.parse(r));
+  }
+  return (memoryStore.get(`reserves:${pool}`) || []).filter(e => e.t >= since).sort((a, b) => a.t - b.t);
+}
+
+// GeckoTerminal's multi-pool endpoint takes up to 30 addresses per call
+async function snapshotReserves(pools) {
+  const byNetwork = new Map();
+  for (const ref of pools) {
+    const { network, address } = parsePoolRef(ref);
+    if (!byNetwork.has(network)) byNetwork.set(network, []);
+    byNetwork.get(network).push(address);
+  }
+
+  const updated = [];
+  for (const [network, addrs] of byNetwork) {
+    for (let i = 0; i < addrs.length; i += 30) {
+      const chunk = addrs.slice(i, i + 30);
+      // through the global queue, so reserve checks share the poll's request rate
+      const res = await queue.add(() => onchainGet(dexUrl(`/networks/${network}/pools/multi/${chunk.join(',')}`)));
+      for (const p of res?.data || []) {
+        const usd = Number(p.attributes?.reserve_in_usd);
+        const address = String(p.attributes?.address || '').toLowerCase();
+        if (!address || !Number.isFinite(usd)) continue;
+        const ref = poolRef(network, address);
+        await recordReserve(ref, usd);
+        updated.push(ref);
+      }
+    }
+  }
+  return updated;
+}
+
+/** Largest drop (from the window high) or rise (from the window low) ending at the latest snapshot. */
+function liquidityMove(snaps, since, alerted) {
+  const now = snaps[snaps.length - 1];
+  const inWindow = snaps.filter(e => e.t >= since);
+  if (!now || inWindow.length < 2) return null;
+
+  let high = Math.max(...inWindow.map(e => e.usd));
+  let low = Math.min(...inWindow.map(e => e.usd));
+  // a move we already reported in this window is measured from where we reported it
+  if (alerted && alerted.t >= since) {
+    if (alerted.dir === 'drop') high = Math.min(high, alerted.usd);
+    else low = Math.max(low, alerted.usd);
+  }
+
+  const drop = high > 0 ? { dir: 'drop', from: high, to: now.usd, usd: high - now.usd, pct: (high - now.usd) / high * 100 } : null;
+  const rise = low > 0 ? { dir: 'rise', from: low, to: now.usd, usd: now.usd - low, pct: (now.usd - low) / low * 100 } : null;
+  return [drop, rise].filter(Boolean).sort((a, b) => b.pct - a.pct)[0] || null;
+}
+
+function liquidityTriggered(settings, move) {
+  if (!move || move.usd <= 0) return false;
+  return (settings.pct > 0 && move.pct >= settings.pct) || (settings.usd > 0 && move.usd >= settings.usd);
+}
+
+function liquidityText(tracked, move, window) {
+  const symbol = escapeHtml(tracked.token.symbol || 'TOKEN');
+  const label = escapeHtml(poolLabel(tracked.pool));
+  const change = `$${formatUSD(move.from)} → $${formatUSD(move.to)} (${move.dir === 'drop' ? '-' : '+'}${move.pct.toFixed(1)}%) in ≤${window}`;
+  if (move.dir === 'drop' && move.pct >= RUG_DROP_PCT) {
+    return `🚨 <b>RUG WARNING — ${symbol}</b>\n\n${label} lost ${move.pct.toFixed(0)}% of its liquidity.\n💧 ${change}`;
+  }
+  return `${move.dir === 'drop' ? '💧 <b>LIQUIDITY REMOVED' : '💦 <b>LIQUIDITY ADDED'} — ${symbol}</b>\n\n${label}\n💧 ${change}`;
+}
+
+async function checkLiquidity(pool) {
+  const snaps = await readReserves(pool, Date.now() - RESERVE_RETENTION_MS);
+  const { network, address } = parsePoolRef(pool);
+
+  for (const chatId of await chatsForPool(pool)) {
+    const cfg = await getChat(chatId);
+    const tracked = findPool(cfg, pool);
+    const settings = liquiditySettings(cfg);
+    if (!tracked || !settings.enabled) continue;
+
+    const since = Date.now() - LIQUIDITY_WINDOWS[settings.window];
+    const move = liquidityMove(snaps, since, settings.alerted[pool]);
+    if (!liquidityTriggered(settings, move)) continue;
+
+    settings.alerted = { ...settings.alerted, [pool]: { dir: move.dir, usd: move.to, t: Date.now() } };
+    cfg.liquidity = settings;
+    await setChat(chatId, cfg);
+
+    const text = liquidityText(tracked, move, settings.window);
+    safeSend(chatId, (opts) => bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[{ text: '📈 Chart', url: chartUrl(network, address) }]] },
+      ...opts
+    }), null, { type: 'liquidity', pool }).then(ok => ok && recordAlert(chatId, {
+      kind: 'liquidity', symbol: tracked.token.symbol, usd: move.usd, text: `${move.dir} ${move.pct.toFixed(1)}%`
+    })).catch(e => console.warn('[DASH] alert log write failed:', e.message));
+    console.log(`[LIQ] ${move.dir} ${move.pct.toFixed(1)}% on ${pool} -> chat ${chatId}`);
+  }
+}
+
+async function broadcastLiquidityEvent(pool, event) {
+  const { network, address } = parsePoolRef(pool);
+  for (const chatId of await chatsForPool(pool)) {
+    const cfg = await getChat(chatId);
+    const tracked = findPool(cfg, pool);
+    const settings = liquiditySettings(cfg);
+    if (!tracked || !settings.enabled || event.usd < settings.minEventUsd) continue;
+
+    const symbol = escapeHtml(tracked.token.symbol || 'TOKEN');
+    const text =
+      `${event.kind === 'add' ? '💦 <b>LP ADDED' : '🔥 <b>LP REMOVED'} — ${symbol}</b>\n\n` +
+      `💵 ~$${formatUSD(event.usd)} (${formatUSD(event.baseAmount, 2)} ${symbol} + ${formatUSD(event.quoteAmount, 4)} paired)\n` +
+      (event.wallet ? `👤 ${shortWallet(event.wallet)}\n` : '') +
+      `🏦 ${escapeHtml(poolLabel(tracked.pool))}`;
+    safeSend(chatId, (opts) => bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[
+        { text: '📈 Chart', url: chartUrl(network, address) },
+        { text: '🔎 TX', url: explorerTxUrl(network, event.tx) }
+      ]] },
+      ...opts
+    }), null, { type: 'liquidity', pool }).then(ok => ok && recordAlert(chatId, { kind: `lp ${event.kind}`, symbol: tracked.token.symbol, usd: event.usd, text: event.wallet || '' }))
+      .catch(e => console.warn('[DASH] alert log write failed:', e.message));
+  }
+}
+
+// pools with at least one chat that has liquidity alerts on
+async function liquidityPools() {
+  const pools = [];
+  for (const pool of await trackedPools()) {
+    for (const chatId of await chatsForPool(pool)) {
+      if (liquiditySettings(await getChat(chatId)).enabled) {
+        pools.push(pool);
+        break;
+      }
+    }
+  }
+  return pools;
+}
+
+let liquidityRunning = false;
+setInterval(async () => {
+  if (liquidityRunning || cooling() || budgetExhausted() || !isLeader()) return;
+  liquidityRunning = true;
+  try {
+    const pools = await liquidityPools();
+    if (!pools.length) return;
+    for (const pool of await snapshotReserves(pools)) await checkLiquidity(pool);
+  } catch (e) {
+    console.error('[LIQ] reserve check failed:', e.message);
+  } finally {
+    liquidityRunning = false;
+  }
+}, Math.max(15000, Number(LIQUIDITY_POLL_MS)));
+
+// -------- Web dashboard --------
+// Admins sign in with the Telegram Login Widget (needs the DASHBOARD_URL domain set via BotFather
+// /setdomain; gives access to every chat they administer) or with a one-time link from /dashboard
+// (that chat only). Sessions are dash:session:<sid> (Redis, else memory) behind an HttpOnly cookie;
+// every request re-checks admin/operator rights through the same cache the bot commands use.
+const DASH_COOKIE = 'dash_sid';
+const DASH_SESSION_MS = 12 * 60 * 60 * 1000;
+const DASH_TOKEN_MS = 10 * 60 * 1000;
+const DASH_MAX_CHATS = 200;          // admin lookups for Login Widget sessions
+const DASH_CHATS_CACHE_MS = 10 * 60 * 1000;   // how long a Login Widget user's chat list is reused
+const ALERT_LOG_MAX = 50;
+const dashBase = (DASHBOARD_URL || '').replace(/\/$/, '');
+const chatTitleCache = new Map();    // chatId -> { ts, title }
+let botUsername = null;
+
+async function dashPut(key, value, ttlMs) {
+  if (redis) return redis.set(key, JSON.stringify(value), 'PX', ttlMs);
+  memoryStore.set(key, { value, expires: Date.now() + ttlMs });
+}
+
+async function dashGet(key) {
+  if (redis) {
+    const raw = await redis.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+  const hit = memoryStore.get(key);
+  if (!hit || hit.expires < Date.now()) return null;
+  return hit.value;
+}
+
+async function dashTake(key) {
+  if (redis) {
+    const [[, raw]] = await redis.multi().get(key).del(key).exec();
+    return raw ? JSON.parse(raw) : null;
+  }
+  const value = await dashGet(key);
+  memoryStore.delete(key);
+  return value;
+}
+
+async function dashDelete(key) {
+  if (redis) return redis.del(key);
+  memoryStore.delete(key);
+}
+
+/** Recent alerts per chat for the dashboard: capped list chat:<id>:alerts, newest first. */
+async function recordAlert(chatId, entry) {
+  const key = `chat:${chatId}:alerts`;
+  const row = { t: Date.now(), ...entry };
+  if (redis) {
+    await redis.lpush(key, JSON.stringify(row));
+    await redis.ltrim(key, 0, ALERT_LOG_MAX - 1);
+    return;
+  }
+  memoryStore.set(key, [row, ...(memoryStore.get(key) || [])].slice(0, ALERT_LOG_MAX));
+}
+
+async function recentAlerts(chatId, limit = 20) {
+  const key = `chat:${chatId}:alerts`;
+  if (redis) return (await redis.lrange(key, 0, limit - 1)).map(r => JSON.parse(r));
+  return (memoryStore.get(key) || []).slice(0, limit);
+}
+
+function verifyTelegramLogin(query) {
+  const { hash, ...fields } = query;
+  if (typeof hash !== 'string' || !fields.id || !fields.auth_date) return null;
+  const check = Object.keys(fields).sort().map(k => `${k}=${fields[k]}`).join('\n');
+  const secret = crypto.createHash('sha256').update(TELEGRAM_TOKEN).digest();
+  const expected = crypto.createHmac('sha256', secret).update(check).digest('hex');
+  if (hash.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected))) return null;
+  if (Date.now() / 1000 - Number(fields.auth_date) > 24 * 60 * 60) return null;
+  return { id: Number(fields.id), name: fields.username ? `@${fields.username}` : fields.first_name || String(fields.id) };
+}
+
+async function startDashSession(res, user, chats) {
+  const sid = crypto.randomBytes(24).toString('hex');
+  await dashPut(`dash:session:${sid}`, { userId: user.id, name: user.name, chats }, DASH_SESSION_MS);
+  const secure = dashBase.startsWith('https:') ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${DASH_COOKIE}=${sid}; Path=/dashboard; HttpOnly; SameSite=Lax; Max-Age=${DASH_SESSION_MS / 1000}${secure}`);
+}
+
+function dashSessionId(req) {
+  const m = new RegExp(`(?:^|;\\s*)${DASH_COOKIE}=([a-f0-9]+)`).exec(req.headers.cookie || '');
+  return m ? m[1] : null;
+}
+
+/** Same rule as canConfigure: admins, operators, or the user's own private chat. */
+async function dashCanManage(session, chatId) {
+  if (session.chats && !session.chats.includes(chatId)) return false;
+  if (chatId === session.userId) return true;
+  const cfg = await getChat(chatId);
+  if (isOperator(cfg, session.userId)) return true;
+  return isChatAdmin(chatId, session.userId);
+}
+
+// Login Widget sessions would otherwise cost a getChatMember per known chat on every page load;
+// the list is cached per user (dash:chats:<userId>), and opening a chat still re-checks that one
+async function dashChatIds(session) {
+  const cacheKey = `dash:chats:${session.userId}`;
+  if (!session.chats) {
+    const cached = await dashGet(cacheKey);
+    if (cached) return cached;
+  }
+
+  const ids = session.chats || (await allChatIds()).slice(0, DASH_MAX_CHATS);
+  const allowed = [];
+  for (const id of ids) {
+    if (await dashCanManage(session, Number(id))) allowed.push(Number(id));
+  }
+  if (!session.chats) await dashPut(cacheKey, allowed, DASH_CHATS_CACHE_MS);
+  return allowed;
+}
+
+async function chatTitle(chatId) {
+  const hit = chatTitleCache.get(chatId);
+  if (hit && Date.now() - hit.ts < 10 * 60 * 1000) return hit.title;
+  let title = String(chatId);
+  try {
+    const chat = await bot.getChat(chatId);
+    title = chat.title || chat.username || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || title;
+  } catch {
+    // keep the id
+  }
+  chatTitleCache.set(chatId, { ts: Date.now(), title });
+  return title;
+}
+
+const attr = (s) => escapeHtml(s ?? '').replace(/"/g, '&quot;');
+
+function dashPage(title, body, session = null) {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body{font-family:system-ui,sans-serif;max-width:860px;margin:0 auto;padding:16px;background:#0f1115;color:#e6e6e6}
+a{color:#6cb6ff}h1,h2{font-weight:600}h2{margin-top:28px;border-bottom:1px solid #2a2f3a;padding-bottom:4px}
+form.inline{display:inline}label{display:block;margin:8px 0 2px}input,select{padding:6px;background:#1a1d24;color:#e6e6e6;border:1px solid #2a2f3a;border-radius:4px}
+button{padding:6px 12px;background:#2563eb;color:#fff;border:0;border-radius:4px;cursor:pointer}button.danger{background:#b91c1c}
+table{border-collapse:collapse;width:100%}td,th{padding:4px 6px;border-bottom:1px solid #2a2f3a;text-align:left;font-size:14px}
+code{font-size:12px}.muted{color:#8b93a1}.msg{padding:8px;background:#1e293b;border-radius:4px}
+</style></head><body>
+${session ? `<p class="muted">Signed in as ${escapeHtml(session.name)} · <a href="/dashboard">Chats</a> · <a href="/dashboard/logout">Log out</a></p>` : ''}
+${body}</body></html>`;
+}
+
+function dashNotice(req) {
+  return req.query.ok ? `<p class="msg">✅ ${escapeHtml(req.query.ok)}</p>` : req.query.err ? `<p class="msg">❌ ${escapeHtml(req.query.err)}</p>` : '';
+}
+
+function chatPath(chatId, q = '') {
+  return `/dashboard/chat/${chatId}${q ? `?${new URLSearchParams(q)}` : ''}`;
+}
+
+const dash = express.Router();
+dash.use(express.urlencoded({ extended: false }));
+
+dash.get('/login', async (req, res) => {
+  if (!botUsername) botUsername = (await bot.getMe().catch(() => null))?.username || null;
+  const widget = botUsername && dashBase
+    ? `<script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${attr(botUsername)}" data-size="large" data-auth-url="${attr(`${dashBase}/dashboard/auth/telegram`)}"></script>`
+    : '';
+  res.send(dashPage('Buy bot dashboard', `<h1>Buy bot dashboard</h1>${dashNotice(req)}${widget}
+<p class="muted">Or send <code>/dashboard</code> in your group as an admin and open the one-time link the bot sends you.</p>`));
+});
+
+dash.get('/auth/telegram', async (req, res) => {
+  const user = verifyTelegramLogin(req.query);
+  if (!user) return res.redirect('/dashboard/login?err=Telegram+login+could+not+be+verified');
+  await dashDelete(`dash:chats:${user.id}`);   // a fresh sign-in rebuilds the chat list
+  await startDashSession(res, user, null);
+  res.redirect('/dashboard');
+});
+
+dash.get('/auth/token', async (req, res) => {
+  const token = /^[a-f0-9]{48}$/.test(req.query.t || '') ? req.query.t : null;
+  const grant = token && await dashTake(`dash:token:${token}`);
+  if (!grant) return res.redirect('/dashboard/login?err=That+link+expired+or+was+already+used');
+  await startDashSession(res, { id: grant.userId, name: grant.name }, [grant.chatId]);
+  res.redirect(chatPath(grant.chatId));
+});
+
+dash.get('/logout', async (req, res) => {
+  const sid = dashSessionId(req);
+  if (sid) await dashDelete(`dash:session:${sid}`);
+  res.setHeader('Set-Cookie', `${DASH_COOKIE}=; Path=/dashboard; Max-Age=0`);
+  res.redirect('/dashboard/login');
+});
+
+// everything below needs a session
+dash.use(async (req, res, next) => {
+  const sid = dashSessionId(req);
+  const session = sid && await dashGet(`dash:session:${sid}`);
+  if (!session) return res.redirect('/dashboard/login');
+  req.session = session;
+  next();
+});
+
+dash.get('/', async (req, res) => {
+  const ids = await dashChatIds(req.session);
+  const rows = await Promise.all(ids.map(async id => {
+    const cfg = await getChat(id);
+    return `<tr><td><a href="${chatPath(id)}">${escapeHtml(await chatTitle(id))}</a></td><td>${cfg.tokens.map(t => escapeHtml(t.symbol)).join(', ') || '—'}</td>` +
+      `<td>${cfg.suspended ? '⏸ suspended' : cfg.activeCompetition ? '🏆 competition' : ''}</td></tr>`;
+  }));
+  res.send(dashPage('Your chats', `<h1>Your chats</h1>${dashNotice(req)}` +
+    (rows.length ? `<table><tr><th>Chat</th><th>Tokens</th><th></th></tr>${rows.join('')}</table>` : '<p>No chats you can manage yet. Add the bot to a group first.</p>'),
+  req.session));
+});
+
+// per-chat routes: check rights once, then hand the config to the handler
+dash.use('/chat/:id', async (req, res, next) => {
+  const chatId = Number(req.params.id);
+  if (!Number.isSafeInteger(chatId) || !(await dashCanManage(req.session, chatId))) {
+    return res.status(403).send(dashPage('Forbidden', `<p>${escapeHtml(DENIED_TEXT)}</p>`, req.session));
+  }
+  req.chatId = chatId;
+  req.cfg = await getChat(chatId);
+  next();
+});
+
+dash.get('/chat/:id', async (req, res) => {
+  const { chatId, cfg } = req;
+  const comp = cfg.activeCompetition;
+  const alerts = await recentAlerts(chatId);
+  const bar = emojiBarSettings(cfg);
+
+  const tokenRows = cfg.tokens.flatMap(t => t.pools.map(p => {
+    const ref = trackedPoolRef(p);
+    return `<tr><td>${escapeHtml(t.symbol)}</td><td>${escapeHtml(networkName(p.network || GECKO_NETWORK))}</td><td>${escapeHtml(poolLabel(p))}<br><code>${p.address}</code></td>` +
+      `<td><form class="inline" method="post" action="${chatPath(chatId)}/pools/remove"><input type="hidden" name="ref" value="${attr(ref)}"><button class="danger">Remove</button></form></td></tr>`;
+  })).join('');
+  const networkOptions = Object.keys(NETWORKS).map(id => `<option value="${attr(id)}">${escapeHtml(networkName(id))}</option>`).join('');
+
+  const compSection = comp
+    ? `<p>${escapeHtml(COMP_MODES[comp.mode || 'volume'].title)} #${comp.id} — ends in ${formatCountdown(comp.endsAt - Date.now())}</p>
+<form method="post" action="${chatPath(chatId)}/comp/end" onsubmit="return confirm('End the competition now and post the results?')"><button class="danger">End now</button></form>`
+    : `<form method="post" action="${chatPath(chatId)}/comp/start">
+<label>Mode</label><select name="mode">${Object.entries(COMP_MODES).map(([k, m]) => `<option value="${k}">${escapeHtml(m.label)}</option>`).join('')}</select>
+<label>Duration / countdown (minutes)</label><input name="duration" type="number" min="1" required>
+<label>Min buy USD (ticket size for raffles)</label><input name="minBuy" type="number" min="0" step="any" value="0">
+<label>Prizes (comma separated, 1st first)</label><input name="prizes" size="50" required>
+<label><input type="checkbox" name="netSells" value="yes"> Subtract sells (volume mode)</label>
+<p><button>Start competition</button></p></form>`;
+
+  const alertRows = alerts.map(a => `<tr><td>${new Date(a.t).toISOString().replace('T', ' ').slice(0, 19)}</td><td>${escapeHtml(a.kind)}</td>` +
+    `<td>${escapeHtml(a.symbol || '')}</td><td>${a.usd != null ? `$${formatUSD(a.usd, 2)}` : ''}</td><td>${escapeHtml(a.text || '')}</td></tr>`).join('');
+
+  res.send(dashPage(await chatTitle(chatId), `<h1>${escapeHtml(await chatTitle(chatId))}</h1>${dashNotice(req)}
+${cfg.suspended ? `<p class="msg">⏸ Alerts are suspended: ${escapeHtml(cfg.suspended.reason)}</p>` : ''}
+<h2>Tracked pools</h2>
+${tokenRows ? `<table>${tokenRows}</table>` : '<p>No pools yet.</p>'}
+<form method="post" action="${chatPath(chatId)}/tokens/add"><label>Add token</label>
+<input name="address" placeholder="0x…" size="46" pattern="0x[a-fA-F0-9]{40}" required> <select name="network">${networkOptions}</select> <button>Add</button></form>
+
+<h2>Alerts</h2>
+<form method="post" action="${chatPath(chatId)}/settings">
+<label>Min buy (USD)</label><input name="minBuyUsd" type="number" min="0" step="any" value="${attr(cfg.minBuyUsd || 0)}">
+<label>Tiers: mid from / whale from (USD)</label><input name="tierSmall" type="number" min="0" step="any" value="${attr(cfg.tiers.small)}"> <input name="tierLarge" type="number" min="0" step="any" value="${attr(cfg.tiers.large)}">
+<label>Tier emojis: small / mid / whale</label><input name="emojiSmall" size="4" value="${attr(cfg.emoji.small)}"> <input name="emojiMid" size="4" value="${attr(cfg.emoji.mid)}"> <input name="emojiLarge" size="4" value="${attr(cfg.emoji.large)}">
+<label>Emoji bar: buy / sell emoji</label><input name="barBuy" size="4" value="${attr(bar.buy.emoji)}"> <input name="barSell" size="4" value="${attr(bar.sell.emoji)}">
+<label><input type="checkbox" name="barEnabled" value="1"${bar.enabled ? ' checked' : ''}> Show emoji bar</label>
+<label><input type="checkbox" name="showSells" value="1"${cfg.showSells ? ' checked' : ''}> Show sells</label>
+<label>Topic (thread) id, empty = main chat</label><input name="threadId" type="number" value="${attr(cfg.threadId ?? '')}">
+<label>Video URL (uploads go through the bot: /setvideo)</label><input name="videoUrl" size="60" value="${attr(cfg.videoUrl || '')}" placeholder="https://…">
+<p class="muted">Current video: ${cfg.videoFileId ? (cfg.videoValid ? 'uploaded file ✅' : 'uploaded file ⚠️ invalid') : cfg.videoUrl ? 'URL' : 'none'}</p>
+<label><input type="checkbox" name="removeVideo" value="1"> Remove video</label>
+<p><button>Save</button></p></form>
+
+<h2>Competition</h2>${compSection}
+<p><a href="${chatPath(chatId)}/comps">Past competitions</a></p>
+
+<h2>Recent alerts</h2>
+${alertRows ? `<table><tr><th>Time (UTC)</th><th>Type</th><th>Token</th><th>USD</th><th></th></tr>${alertRows}</table>` : '<p>No alerts yet.</p>'}`, req.session));
+});
+
+dash.post('/chat/:id/settings', async (req, res) => {
+  const { chatId, cfg } = req;
+  const b = req.body;
+  const num = (v) => (v === '' || v == null ? NaN : Number(v));
+
+  const emoji = (v) => String(v || '').trim() || undefined;   // blank keeps the current one
+  const bar = emojiBarSettings(cfg);
+  const patch = {
+    minBuyUsd: num(b.minBuyUsd),
+    tiers: { small: num(b.tierSmall), large: num(b.tierLarge) },
+    emoji: { small: emoji(b.emojiSmall) ?? cfg.emoji.small, mid: emoji(b.emojiMid) ?? cfg.emoji.mid, large: emoji(b.emojiLarge) ?? cfg.emoji.large },
+    emojiBar: { enabled: b.barEnabled === '1', buy: { emoji: emoji(b.barBuy) ?? bar.buy.emoji }, sell: { emoji: emoji(b.barSell) ?? bar.sell.emoji } },
+    showSells: b.showSells === '1',
+    threadId: b.threadId ? Number(b.threadId) : null
+  };
+  if (b.removeVideo === '1') patch.videoUrl = null;
+  else if (b.videoUrl && b.videoUrl !== cfg.videoUrl) patch.videoUrl = b.videoUrl;
+
+  // same validation as PATCH /api/v1/chats/:id
+  const error = applyConfigPatch(chatId, cfg, patch);
+  if (error) return res.redirect(chatPath(chatId, { err: error }));
+
+  await setChat(chatId, cfg);
+  console.log(`[DASH] ${req.session.name} updated settings for chat ${chatId}`);
+  res.redirect(chatPath(chatId, { ok: 'Settings saved' }));
+});
+
+dash.post('/chat/:id/tokens/add', async (req, res) => {
+  const { chatId, cfg } = req;
+  const address = String(req.body.address || '').trim();
+  const network = NETWORKS[req.body.network] ? req.body.network : GECKO_NETWORK;
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) return res.redirect(chatPath(chatId, { err: 'Invalid token address' }));
+
+  const found = await fetchPoolsForToken(address, network);
+  if (!found?.pools.length) return res.redirect(chatPath(chatId, { err: 'No pool found for that token on this network (or rate-limited)' }));
+
+  const chosen = [].concat(req.body.pool || []);
+  if (found.pools.length > 1 && !chosen.length) {
+    // same choice as the chat pool picker, as a form
+    const options = found.pools.map(p => `<label><input type="checkbox" name="pool" value="${attr(p.address)}"${findPool(cfg, poolRef(network, p.address)) ? ' checked' : ''}> ` +
+      `${escapeHtml(p.dex)} • ${escapeHtml(p.pair || '?')} • $${formatUSD(p.liquidityUsd)}</label>`).join('');
+    return res.send(dashPage('Choose pools', `<h1>Pools for ${escapeHtml(found.symbol)}</h1>
+<form method="post" action="${chatPath(chatId)}/tokens/add"><input type="hidden" name="address" value="${attr(address)}"><input type="hidden" name="network" value="${attr(network)}">
+${options}<p><button>Track selected</button> <a href="${chatPath(chatId)}">Cancel</a></p></form>`, req.session));
+  }
+
+  const pools = found.pools.length === 1 ? found.pools : found.pools.filter(p => chosen.includes(p.address));
+  if (!pools.length) return res.redirect(chatPath(chatId, { err: 'Select at least one pool' }));
+  addTrackedPools(cfg, network, address, found.symbol, pools);
+  await setChat(chatId, cfg);
+  console.log(`[DASH] ${req.session.name} added ${found.symbol} to chat ${chatId}`);
+  res.redirect(chatPath(chatId, { ok: `Tracking ${found.symbol}` }));
+});
+
+dash.post('/chat/:id/pools/remove', async (req, res) => {
+  const { chatId, cfg } = req;
+  if (!findPool(cfg, req.body.ref)) return res.redirect(chatPath(chatId, { err: 'That pool is not tracked here' }));
+  removeTrackedPool(cfg, req.body.ref);
+  await setChat(chatId, cfg);
+  res.redirect(chatPath(chatId, { ok: 'Pool removed' }));
+});
+
+dash.post('/chat/:id/comp/start', async (req, res) => {
+  const { chatId, cfg } = req;
+  const mode = COMP_MODES[req.body.mode] ? req.body.mode : null;
+  if (!mode) return res.redirect(chatPath(chatId, { err: 'Unknown competition mode' }));
+  if (cfg.activeCompetition) return res.redirect(chatPath(chatId, { err: 'A competition is already running' }));
+
+  // feed the form through the same step parsers as the chat wizard
+  const prizes = String(req.body.prizes || '').split(',').map(x => x.trim()).filter(Boolean);
+  const answers = {
+    duration: req.body.duration,
+    countdown: req.body.duration,
+    minBuy: req.body.minBuy,
+    ticketUsd: req.body.minBuy,
+    prize1: prizes[0] || '',
+    prizes23: `${prizes[1] || '-'},${prizes[2] || '-'}`,
+    prize: prizes[0] || '',
+    rafflePrizes: prizes.join(','),
+    netSells: req.body.netSells === 'yes' ? 'yes' : 'no'
+  };
+  const data = {};
+  for (const step of COMP_MODES[mode].steps) {
+    const err = COMP_STEPS[step].parse(String(answers[step] ?? ''), data);
+    if (err) return res.redirect(chatPath(chatId, { err: err.replace(/:$/, '') }));
+  }
+  if (!data.prizes?.[0]) return res.redirect(chatPath(chatId, { err: 'Enter at least one prize' }));
+
+  await startCompetition(chatId, mode, data);
+  console.log(`[DASH] ${req.session.name} started a ${mode} competition in chat ${chatId}`);
+  res.redirect(chatPath(chatId, { ok: 'Competition started' }));
+});
+
+dash.post('/chat/:id/comp/end', async (req, res) => {
+  const ended = await endCompetition(req.chatId);
+  res.redirect(chatPath(req.chatId, ended ? { ok: 'Competition ended and results posted' } : { err: 'No competition is running' }));
+});
+
+dash.get('/chat/:id/comps', async (req, res) => {
+  const { chatId } = req;
+  const records = await listArchivedCompetitions(chatId, 20);
+  const rows = records.map(r => `<tr><td>#${r.id}</td><td>${escapeHtml(COMP_MODES[r.mode]?.title || r.mode)}</td>` +
+    `<td>${new Date(r.endedAt).toISOString().slice(0, 10)}</td><td>${r.standings.length}</td>` +
+    `<td>${(r.winners || []).map(w => `<code>${escapeHtml(shortWallet(w))}</code>`).join(' ')}</td>` +
+    `<td><a href="${chatPath(chatId)}/comps/${r.id}.csv">CSV</a></td></tr>`).join('');
+  res.send(dashPage('Past competitions', `<h1>Past competitions</h1><p><a href="${chatPath(chatId)}">← Back</a></p>` +
+    (rows ? `<table><tr><th>#</th><th>Mode</th><th>Ended</th><th>Entrants</th><th>Winners</th><th></th></tr>${rows}</table>` : '<p>None yet.</p>'),
+  req.session));
+});
+
+dash.get('/chat/:id/comps/:compId.csv', async (req, res) => {
+  const record = await getArchivedCompetition(req.chatId, req.params.compId);
+  if (!record) return res.status(404).send('Not found');
+  res.type('text/csv').attachment(`competition-${record.id}.csv`).send(standingsCsv(record));
+});
+
+app.use('/dashboard', dash);
+
+bot.onText(/\/dashboard(?:@\w+)?$/, async (msg) => {
+  if (!(await requireAdmin(msg))) return;
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  if (!dashBase) return bot.sendMessage(chatId, 'ℹ️ The web dashboard is not enabled (DASHBOARD_URL is not set).', { ...opts });
+  if (!msg.from || msg.sender_chat) return bot.sendMessage(chatId, 'ℹ️ Anonymous admins can’t get a dashboard link — post as yourself and try again.', { ...opts });
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const name = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || String(msg.from.id);
+  await dashPut(`dash:token:${token}`, { chatId, userId: msg.from.id, name }, DASH_TOKEN_MS);
+  const link = `${dashBase}/dashboard/auth/token?t=${token}`;
+  const title = msg.chat.title || 'this chat';
+
+  // the link is a credential: DM it rather than posting it in the group
+  try {
+    await bot.sendMessage(msg.from.id, `🖥 Dashboard for <b>${escapeHtml(title)}</b> (one-time link, valid ${DASH_TOKEN_MS / 60000} min):\n${link}`,
+      { parse_mode: 'HTML', disable_web_page_preview: true });
+    if (msg.chat.type !== 'private') await bot.sendMessage(chatId, '📬 Sent you a dashboard link in private.', { ...opts });
+  } catch (e) {
+    await dashDelete(`dash:token:${token}`);
+    await bot.sendMessage(chatId, 'ℹ️ I can’t message you yet — open a private chat with me, press Start, then send /dashboard here again.', { ...opts });
+  }
+});
+
+// -------- REST API --------
+// JSON under /api/v1 for websites and tools. Every call needs one of API_KEYS (comma separated)
+// in X-API-Key or "Authorization: Bearer <key>". Config writes go through applyConfigPatch, the
+// same validation the dashboard uses. GET /api/v1/openapi.json describes it all.
+const apiKeys = (API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+const CONFIG_PATCH_FIELDS = ['minBuyUsd', 'tiers', 'emoji', 'emojiBar', 'showSells', 'threadId', 'routes', 'videoUrl', 'catchUpMax', 'template'];
+
+/**
+ * Validates a partial chat config and applies it to cfg. Returns an error message (cfg untouched) or null.
+ * videoUrl: null removes the chat's video; template: null restores DEFAULT_TEMPLATE.
+ */
+function applyConfigPatch(chatId, cfg, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return 'Body must be a JSON object';
+  const unknown = Object.keys(patch).filter(k => !CONFIG_PATCH_FIELDS.includes(k));
+  if (unknown.length) return `Unknown field(s): ${unknown.join(', ')}`;
+
+  const isAmount = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+  const isEmoji = (e) => typeof e === 'string' && e.trim().length > 0 && e.length <= 16;
+  const next = {};
+
+  if ('minBuyUsd' in patch) {
+    if (!isAmount(patch.minBuyUsd)) return 'minBuyUsd must be a number ≥ 0';
+    next.minBuyUsd = patch.minBuyUsd;
+  }
+  if ('tiers' in patch) {
+    const tiers = { ...cfg.tiers, ...patch.tiers };
+    if (!isAmount(tiers.small) || !isAmount(tiers.large)) return 'tiers.small and tiers.large must be numbers ≥ 0';
+    if (tiers.large < tiers.small) return 'tiers.large must be at least tiers.small';
+    next.tiers = { small: tiers.small, large: tiers.large };
+  }
+  if ('emoji' in patch) {
+    const emoji = { ...cfg.emoji, ...patch.emoji };
+    if (!['small', 'mid', 'large'].every(k => isEmoji(emoji[k]))) return 'emoji.small/mid/large must be short non-empty strings';
+    next.emoji = { small: emoji.small, mid: emoji.mid, large: emoji.large };
+  }
+  if ('emojiBar' in patch) {
+    const bar = emojiBarSettings(cfg);
+    const p = patch.emojiBar || {};
+    const merged = { enabled: p.enabled ?? bar.enabled, buy: { ...bar.buy, ...p.buy }, sell: { ...bar.sell, ...p.sell } };
+    if (typeof merged.enabled !== 'boolean') return 'emojiBar.enabled must be a boolean';
+    for (const side of ['buy', 'sell']) {
+      const s = merged[side];
+      if (!isEmoji(s.emoji)) return `emojiBar.${side}.emoji must be a short non-empty string`;
+      if (!(isAmount(s.step) && s.step > 0)) return `emojiBar.${side}.step must be a number > 0`;
+      if (!(Number.isInteger(s.max) && s.max >= 1 && s.max <= 100)) return `emojiBar.${side}.max must be an integer 1-100`;
+    }
+    next.emojiBar = merged;
+  }
+  if ('showSells' in patch) {
+    if (typeof patch.showSells !== 'boolean') return 'showSells must be a boolean';
+    next.showSells = patch.showSells;
+  }
+  if ('threadId' in patch) {
+    if (patch.threadId !== null && !Number.isSafeInteger(patch.threadId)) return 'threadId must be an integer or null';
+    next.threadId = patch.threadId;
+  }
+  if ('routes' in patch) {
+    // merged rule by rule; null drops a rule, 0 routes to the main chat
+    const routes = routeSettings(cfg);
+    for (const [kind, valid] of [['types', k => !!ROUTE_TYPES[k]], ['pools', k => !!findPool(cfg, k)]]) {
+      for (const [key, thread] of Object.entries(patch.routes?.[kind] || {})) {
+        if (!valid(key)) return `routes.${kind}: unknown ${kind === 'types' ? 'message type' : 'tracked pool'} "${key}"`;
+        if (thread !== null && !(Number.isSafeInteger(thread) && thread >= 0)) return `routes.${kind}.${key} must be a thread id, 0 or null`;
+        if (thread === null) delete routes[kind][key];
+        else routes[kind][key] = thread;
+      }
+    }
+    next.routes = routes;
+  }
+  if ('catchUpMax' in patch) {
+    if (patch.catchUpMax !== null && !(Number.isInteger(patch.catchUpMax) && patch.catchUpMax >= 1)) return 'catchUpMax must be an integer ≥ 1 or null';
+    next.catchUpMax = patch.catchUpMax;
+  }
+  if ('videoUrl' in patch) {
+    if (patch.videoUrl === null) Object.assign(next, { videoUrl: null, videoFileId: null, videoChatId: null, videoValid: false });
+    else if (typeof patch.videoUrl === 'string' && /^https?:\/\/\S+$/.test(patch.videoUrl)) {
+      Object.assign(next, { videoUrl: patch.videoUrl, videoFileId: null, videoChatId: chatId, videoValid: true });
+    } else return 'videoUrl must be an http(s) URL or null';
+  }
+  if ('template' in patch) {
+    if (patch.template !== null) {
+      if (typeof patch.template !== 'string') return 'template must be a string or null';
+      const error = validateTemplate(patch.template);
+      if (error) return error;
+      const length = renderTemplate(patch.template, sampleAlertVars(cfg)).length;
+      if (length > CAPTION_LIMIT) return `Rendered alert is ${length} chars; Telegram captions are limited to ${CAPTION_LIMIT}`;
+    }
+    next.template = patch.template;
+  }
+
+  Object.assign(cfg, next);
+  return null;
+}
+
+function apiKeyValid(key) {
+  if (!key) return false;
+  const given = crypto.createHash('sha256').update(key).digest();
+  return apiKeys.some(k => crypto.timingSafeEqual(given, crypto.createHash('sha256').update(k).digest()));
+}
+
+function apiError(res, status, error) {
+  return res.status(status).json({ error });
+}
+
+// what the API exposes of a chat (per-rule/alert bookkeeping stays internal)
+function publicChatConfig(chatId, cfg) {
+  return {
+    chatId,
+    tokens: cfg.tokens.map(t => ({
+      address: t.address,
+      network: t.network || GECKO_NETWORK,
+      symbol: t.symbol,
+      pools: t.pools.map(p => ({ ref: trackedPoolRef(p), address: p.address, network: p.network || GECKO_NETWORK, dex: p.dex, pair: p.pair }))
+    })),
+    minBuyUsd: cfg.minBuyUsd,
+    tiers: cfg.tiers,
+    emoji: cfg.emoji,
+    emojiBar: emojiBarSettings(cfg),
+    showSells: !!cfg.showSells,
+    threadId: cfg.threadId ?? null,
+    routes: routeSettings(cfg),
+    videoUrl: cfg.videoUrl || null,
+    hasVideoFile: !!cfg.videoFileId,
+    catchUpMax: cfg.catchUpMax ?? null,
+    template: cfg.template || null,
+    suspended: cfg.suspended || null,
+    activeCompetition: cfg.activeCompetition ? { ...cfg.activeCompetition, mode: cfg.activeCompetition.mode || 'volume' } : null
+  };
+}
+
+const api = express.Router();
+api.use(express.json({ limit: '32kb' }));
+
+api.get('/openapi.json', (_, res) => res.json(OPENAPI_SPEC));
+
+api.use((req, res, next) => {
+  if (!apiKeys.length) return apiError(res, 503, 'API disabled: API_KEYS is not set');
+  const bearer = /^Bearer (.+)$/i.exec(req.get('authorization') || '')?.[1];
+  if (!apiKeyValid(req.get('x-api-key') || bearer)) return apiError(res, 401, 'Missing or invalid API key');
+  next();
+});
+
+api.get('/chats', async (_, res) => {
+  const ids = await allChatIds();
+  const chats = await Promise.all(ids.map(async id => {
+    const cfg = await getChat(id);
+    return { chatId: Number(id), tokens: cfg.tokens.map(t => t.symbol), suspended: !!cfg.suspended, competition: !!cfg.activeCompetition };
+  }));
+  res.json({ chats });
+});
+
+// chat routes only work for chats the bot already knows (getChat would create a default config)
+api.use('/chats/:id', async (req, res, next) => {
+  const chatId = Number(req.params.id);
+  if (!Number.isSafeInteger(chatId) || !(await allChatIds()).includes(chatId)) return apiError(res, 404, 'Unknown chat');
+  req.chatId = chatId;
+  req.cfg = await getChat(chatId);
+  next();
+});
+
+api.get('/chats/:id', (req, res) => res.json(publicChatConfig(req.chatId, req.cfg)));
+
+api.patch('/chats/:id', async (req, res) => {
+  const error = applyConfigPatch(req.chatId, req.cfg, req.body);
+  if (error) return apiError(res, 400, error);
+  await setChat(req.chatId, req.cfg);
+  console.log(`[API] updated ${Object.keys(req.body).join(', ')} for chat ${req.chatId}`);
+  res.json(publicChatConfig(req.chatId, req.cfg));
+});
+
+api.get('/chats/:id/pools', (req, res) => res.json({ tokens: publicChatConfig(req.chatId, req.cfg).tokens }));
+
+api.post('/chats/:id/tokens', async (req, res) => {
+  const { address, network = GECKO_NETWORK, pools } = req.body || {};
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address || '')) return apiError(res, 400, 'address must be a 0x token address');
+  if (!NETWORKS[network]) return apiError(res, 400, `Unknown network; known: ${Object.keys(NETWORKS).join(', ')}`);
+  if (pools != null && !Array.isArray(pools)) return apiError(res, 400, 'pools must be an array of pool addresses');
+
+  const found = await fetchPoolsForToken(address, network);
+  if (!found?.pools.length) return apiError(res, 502, 'No pool found for that token on this network (or rate-limited)');
+  const wanted = pools?.map(p => String(p).toLowerCase());
+  const chosen = wanted ? found.pools.filter(p => wanted.includes(p.address.toLowerCase())) : found.pools;
+  if (!chosen.length) return apiError(res, 400, `None of the given pools belong to this token; found: ${found.pools.map(p => p.address).join(', ')}`);
+
+  addTrackedPools(req.cfg, network, address, found.symbol, chosen);
+  await setChat(req.chatId, req.cfg);
+  res.status(201).json({ tokens: publicChatConfig(req.chatId, req.cfg).tokens });
+});
+
+api.delete('/chats/:id/pools/:ref', async (req, res) => {
+  if (!findPool(req.cfg, req.params.ref)) return apiError(res, 404, 'That pool is not tracked in this chat');
+  removeTrackedPool(req.cfg, req.params.ref);
+  await setChat(req.chatId, req.cfg);
+  res.status(204).end();
+});
+
+api.get('/chats/:id/competition', async (req, res) => {
+  const comp = req.cfg.activeCompetition;
+  if (!comp) return apiError(res, 404, 'No competition is running');
+  const standings = await compStandings(req.chatId, comp);
+  res.json({ competition: { ...comp, mode: comp.mode || 'volume' }, standings });
+});
+
+api.get('/chats/:id/competitions', async (req, res) => {
+  const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+  const records = await listArchivedCompetitions(req.chatId, limit);
+  res.json({ competitions: records.map(({ standings, ...r }) => ({ ...r, entrants: standings.length })) });
+});
+
+api.get('/chats/:id/competitions/:compId', async (req, res) => {
+  const record = await getArchivedCompetition(req.chatId, req.params.compId);
+  if (!record) return apiError(res, 404, 'Unknown competition');
+  res.json(record);
+});
+
+// pool refs as in /chats/{id}/pools; served from the bot's own trade log (see logTrade), so API
+// traffic never spends GeckoTerminal requests
+api.get('/pools/:ref/trades', async (req, res) => {
+  const ref = req.params.ref;
+  if (!(await trackedPools()).includes(ref)) return apiError(res, 404, 'That pool is not tracked by any chat');
+  const limit = Math.min(300, Math.max(1, Number(req.query.limit) || 20));
+  res.json({ pool: ref, trades: await recentTrades(ref, limit) });
+});
+
+app.use('/api/v1', api);
+
+const OPENAPI_SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Buy bot API', version: '1.0.0', description: 'Tracked pools, trades, competitions and chat config. Send an API key in X-API-Key (or Authorization: Bearer).' },
+  servers: [{ url: '/api/v1' }],
+  security: [{ apiKey: [] }, { bearer: [] }],
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer' }
+    },
+    parameters: {
+      chatId: { name: 'id', in: 'path', required: true, schema: { type: 'integer', format: 'int64' }, description: 'Telegram chat id' },
+      poolRef: { name: 'ref', in: 'path', required: true, schema: { type: 'string' }, description: 'Pool ref: the address on the default network, "<network>_<address>" elsewhere' }
+    },
+    schemas: {
+      Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+      Pool: {
+        type: 'object',
+        properties: { ref: { type: 'string' }, address: { type: 'string' }, network: { type: 'string' }, dex: { type: 'string', nullable: true }, pair: { type: 'string', nullable: true } }
+      },
+      Token: {
+        type: 'object',
+        properties: {
+          address: { type: 'string', nullable: true }, network: { type: 'string' }, symbol: { type: 'string' },
+          pools: { type: 'array', items: { $ref: '#/components/schemas/Pool' } }
+        }
+      },
+      Trade: {
+        type: 'object',
+        description: 'Normalized trade (same shape the bot alerts on). priceUsd is the received token\'s price, tokenPriceUsd the tracked token\'s',
+        properties: {
+          id: { type: 'string' }, tx: { type: 'string', nullable: true }, priceUsd: { type: 'number' }, tokenPriceUsd: { type: 'number' }, amountUsd: { type: 'number' },
+          amountToken: { type: 'number', nullable: true }, tradeType: { type: 'string', enum: ['buy', 'sell'] }, buyer: { type: 'string', nullable: true },
+          fromToken: { type: 'string', nullable: true }, toToken: { type: 'string', nullable: true }, ts: { type: 'string', format: 'date-time' }
+        }
+      },
+      EmojiBarSide: { type: 'object', properties: { emoji: { type: 'string' }, step: { type: 'number' }, max: { type: 'integer' } } },
+      ChatConfigPatch: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          minBuyUsd: { type: 'number', minimum: 0 },
+          tiers: { type: 'object', properties: { small: { type: 'number' }, large: { type: 'number' } } },
+          emoji: { type: 'object', properties: { small: { type: 'string' }, mid: { type: 'string' }, large: { type: 'string' } } },
+          emojiBar: {
+            type: 'object',
+            properties: { enabled: { type: 'boolean' }, buy: { $ref: '#/components/schemas/EmojiBarSide' }, sell: { $ref: '#/components/schemas/EmojiBarSide' } }
+          },
+          showSells: { type: 'boolean' },
+          threadId: { type: 'integer', nullable: true },
+          routes: {
+            type: 'object',
+            description: 'Topic routing rules, merged rule by rule (null removes, 0 = main chat)',
+            properties: {
+              types: { type: 'object', properties: Object.fromEntries(Object.keys(ROUTE_TYPES).map(t => [t, { type: 'integer', nullable: true }])) },
+              pools: { type: 'object', additionalProperties: { type: 'integer', nullable: true }, description: 'Keyed by pool ref' }
+            }
+          },
+          videoUrl: { type: 'string', nullable: true, description: 'null removes the video' },
+          catchUpMax: { type: 'integer', minimum: 1, nullable: true },
+          template: { type: 'string', nullable: true, description: 'Alert template (see /template in the bot); null = default' }
+        }
+      },
+      ChatConfig: {
+        allOf: [
+          { $ref: '#/components/schemas/ChatConfigPatch' },
+          {
+            type: 'object',
+            properties: {
+              chatId: { type: 'integer', format: 'int64' },
+              tokens: { type: 'array', items: { $ref: '#/components/schemas/Token' } },
+              hasVideoFile: { type: 'boolean' },
+              suspended: { type: 'object', nullable: true, properties: { reason: { type: 'string' }, at: { type: 'integer' } } },
+              activeCompetition: { allOf: [{ $ref: '#/components/schemas/Competition' }], nullable: true }
+            }
+          }
+        ]
+      },
+      Competition: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' }, mode: { type: 'string', enum: Object.keys(COMP_MODES) },
+          startedAt: { type: 'integer' }, endsAt: { type: 'integer' }, minBuyUsd: { type: 'number' },
+          ticketUsd: { type: 'number', nullable: true }, netSells: { type: 'boolean' }, prizes: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      Standing: {
+        type: 'object',
+        properties: {
+          wallet: { type: 'string' }, score: { type: 'number' }, buys: { type: 'integer' }, buyUsd: { type: 'number' },
+          sellUsd: { type: 'number' }, maxBuy: { type: 'number' }, tickets: { type: 'integer' }
+        }
+      },
+      ArchivedCompetition: {
+        allOf: [
+          { $ref: '#/components/schemas/Competition' },
+          {
+            type: 'object',
+            properties: {
+              endedAt: { type: 'integer' },
+              standings: { type: 'array', items: { $ref: '#/components/schemas/Standing' } },
+              winners: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        ]
+      }
+    },
+    responses: {
+      Error: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+    }
+  },
+  paths: {
+    '/chats': {
+      get: {
+        summary: 'Chats the bot is configured in',
+        responses: {
+          200: {
+            description: 'OK',
+            content: { 'application/json': { schema: { type: 'object', properties: { chats: { type: 'array', items: {
+              type: 'object',
+              properties: { chatId: { type: 'integer', format: 'int64' }, tokens: { type: 'array', items: { type: 'string' } }, suspended: { type: 'boolean' }, competition: { type: 'boolean' } }
+            } } } } } }
+          },
+          401: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/chats/{id}': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }],
+      get: {
+        summary: 'Chat config',
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/ChatConfig' } } } }, 404: { $ref: '#/components/responses/Error' } }
+      },
+      patch: {
+        summary: 'Update chat config (only the fields given)',
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/ChatConfigPatch' } } } },
+        responses: {
+          200: { description: 'Updated config', content: { 'application/json': { schema: { $ref: '#/components/schemas/ChatConfig' } } } },
+          400: { $ref: '#/components/responses/Error' },
+          404: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/chats/{id}/pools': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }],
+      get: {
+        summary: 'Tracked tokens and pools',
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { tokens: { type: 'array', items: { $ref: '#/components/schemas/Token' } } } } } } } }
+      }
+    },
+    '/chats/{id}/tokens': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }],
+      post: {
+        summary: 'Track a token (all its pools, or the listed ones)',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: {
+            type: 'object',
+            required: ['address'],
+            properties: { address: { type: 'string' }, network: { type: 'string', enum: Object.keys(NETWORKS) }, pools: { type: 'array', items: { type: 'string' } } }
+          } } }
+        },
+        responses: {
+          201: { description: 'Tracked tokens after the change', content: { 'application/json': { schema: { type: 'object', properties: { tokens: { type: 'array', items: { $ref: '#/components/schemas/Token' } } } } } } },
+          400: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/chats/{id}/pools/{ref}': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }, { $ref: '#/components/parameters/poolRef' }],
+      delete: { summary: 'Stop tracking a pool', responses: { 204: { description: 'Removed' }, 404: { $ref: '#/components/responses/Error' } } }
+    },
+    '/chats/{id}/competition': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }],
+      get: {
+        summary: 'Running competition and its live leaderboard',
+        responses: {
+          200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: {
+            competition: { $ref: '#/components/schemas/Competition' },
+            standings: { type: 'array', items: { $ref: '#/components/schemas/Standing' } }
+          } } } } },
+          404: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/chats/{id}/competitions': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }, { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 50 } }],
+      get: {
+        summary: 'Finished competitions, newest first',
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { competitions: { type: 'array', items: {
+          allOf: [{ $ref: '#/components/schemas/Competition' }, { type: 'object', properties: { endedAt: { type: 'integer' }, winners: { type: 'array', items: { type: 'string' } }, entrants: { type: 'integer' } } }]
+        } } } } } } } }
+      }
+    },
+    '/chats/{id}/competitions/{compId}': {
+      parameters: [{ $ref: '#/components/parameters/chatId' }, { name: 'compId', in: 'path', required: true, schema: { type: 'integer' } }],
+      get: {
+        summary: 'Archived competition with final standings',
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/ArchivedCompetition' } } } }, 404: { $ref: '#/components/responses/Error' } }
+      }
+    },
+    '/pools/{ref}/trades': {
+      parameters: [{ $ref: '#/components/parameters/poolRef' }, { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 300 } }],
+      get: {
+        summary: 'Recent trades the bot has seen for a tracked pool (last 8 days), newest first',
+        responses: {
+          200: { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { pool: { type: 'string' }, trades: { type: 'array', items: { $ref: '#/components/schemas/Trade' } } } } } } },
+          404: { $ref: '#/components/responses/Error' }
+        }
+      }
+    }
+  }
+};
+
+// -------- Outbound webhooks + Discord relay --------
+// cfg.webhooks: [{ id, type: 'http'|'discord', url, secret }]. Deliveries run on their own queue
+// (never awaited by broadcastTrade), so a slow or dead endpoint can't delay Telegram alerts.
+// HTTP payloads are signed: X-Buybot-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`).
+const WEBHOOK_MAX_PER_CHAT = 5;
+const WEBHOOK_RETRIES = 5;             // after the first attempt; backoff 1s, 2s, 4s, 8s, 16s
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DISCORD_WEBHOOK_RE = /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+const WEBHOOK_QUEUE_MAX = 500;         // pending deliveries before new ones are dropped (dead endpoints)
+const webhookQueue = new PQueue({ concurrency: 4 });
+const webhooksEnabled = WEBHOOKS_ENABLED === 'true';
+const webhookAllowedHosts = WEBHOOK_ALLOWED_HOSTS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// Admins choose the URLs, so deliveries must never reach this server's own network:
+// loopback, RFC1918, CGNAT, link-local (cloud metadata), ULA, multicast and unspecified ranges.
+const privateAddresses = new net.BlockList();
+for (const [addr, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  privateAddresses.addSubnet(addr, prefix, 'ipv4');
+}
+for (const [addr, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+  privateAddresses.addSubnet(addr, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const v4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1];
+  if (v4 || net.isIPv4(address)) return privateAddresses.check(v4 || address, 'ipv4');
+  return privateAddresses.check(address, 'ipv6');
+}
+
+// dns.lookup that refuses private addresses; the delivery agent connects only to what it returns,
+// so a name can't be re-pointed at an internal host between the check and the request
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDR' }));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicLookup, keepAlive: true });
+
+/** Why a webhook URL may not be used (null when it's fine); checked on add and before every delivery. */
+async function webhookUrlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'not a valid URL';
+  }
+  if (parsed.protocol !== 'https:') return 'only https:// URLs are allowed';
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (webhookAllowedHosts.length && !webhookAllowedHosts.some(h => host === h || host.endsWith(`.${h}`))) {
+    return `${host} is not on this bot's webhook allowlist`;
+  }
+  if (net.isIP(host)) return isPrivateAddress(host) ? 'private, loopback and link-local addresses are not allowed' : null;
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(a => isPrivateAddress(a.address))) return 'that host resolves to a private address';
+  } catch (e) {
+    return `can't resolve ${host} (${e.code || e.message})`;
+  }
+  return null;
+}
+
+function webhookLabel(hook) {
+  const { host } = new URL(hook.url);
+  return `#${hook.id} ${hook.type === 'discord' ? 'Discord' : 'HTTPS'} → ${host}`;
+}
+
+/** Telegram-HTML caption -> Discord markdown (bold/italic/code/links; other tags dropped). */
+function htmlToDiscord(html) {
+  return html
+    .replace(/<a href="([^"]+)">(.*?)<\/a>/gs, '[$2]($1)')
+    .replace(/<\/?(b|strong)>/g, '**')
+    .replace(/<\/?(i|em)>/g, '*')
+    .replace(/<\/?(u|ins)>/g, '__')
+    .replace(/<\/?(s|strike|del)>/g, '~~')
+    .replace(/<\/?code>/g, '`')
+    .replace(/<\/?[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function webhookRequest(hook, event) {
+  if (hook.type === 'discord') {
+    const isSell = event.trade.tradeType === 'sell';
+    return {
+      body: JSON.stringify({
+        username: 'Buy Bot',
+        embeds: [{
+          title: `${isSell ? 'Sell' : 'Buy'}: ${event.token.symbol}`,
+          url: event.links.chart,
+          description: htmlToDiscord(event.caption).slice(0, 4096),
+          color: isSell ? 0xe5484d : 0x30a46c,
+          timestamp: event.trade.ts || new Date().toISOString()
+        }]
+      }),
+      headers: { 'Content-Type': 'application/json' }
+    };
+  }
+
+  const { caption, ...payload } = event;
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Buybot-Event': payload.event,
+      'X-Buybot-Timestamp': timestamp,
+      'X-Buybot-Signature': `sha256=${signature}`
+    }
+  };
+}
+
+/** One delivery with retries; 4xx other than 408/429 is final. Resolves { ok, status, error }. */
+async function deliverWebhook(hook, event, retries = WEBHOOK_RETRIES) {
+  let last = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const problem = await webhookUrlProblem(hook.url);
+      if (problem) return { ok: false, status: null, error: `blocked: ${problem}` };
+
+      // re-signed per attempt so receivers can reject stale timestamps
+      const { body, headers } = webhookRequest(hook, event);
+      const res = await axios.post(hook.url, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        validateStatus: () => true,
+        maxRedirects: 0,
+        httpsAgent: webhookAgent,
+        proxy: false
+      });
+      if (res.status >= 200 && res.status < 300) return { ok: true, status: res.status };
+      last = { ok: false, status: res.status, error: `HTTP ${res.status}` };
+      if (res.status < 500 && res.status !== 408 && res.status !== 429) return last;
+
+      if (attempt < retries) {
+        const ra = Number(res.headers?.['retry-after'] ?? res.data?.retry_after);
+        await sleep(Number.isFinite(ra) && ra > 0 ? Math.min(60000, ra * 1000) : 1000 * 2 ** attempt + jitter(500));
+      }
+    } catch (e) {
+      if (e.code === 'EPRIVATEADDR') return { ok: false, status: null, error: `blocked: ${e.message}` };
+      last = { ok: false, status: null, error: e.code || e.message };
+      if (attempt < retries) await sleep(1000 * 2 ** attempt + jitter(500));
+    }
+  }
+  return last;
+}
+
+function dispatchWebhooks(chatId, cfg, event) {
+  if (!webhooksEnabled) return;
+  for (const hook of cfg.webhooks || []) {
+    if (webhookQueue.size >= WEBHOOK_QUEUE_MAX) {
+      console.warn(`[WEBHOOK] queue full, dropping delivery to chat ${chatId} ${webhookLabel(hook)}`);
+      continue;
+    }
+    webhookQueue.add(async () => {
+      const result = await deliverWebhook(hook, event);
+      if (!result.ok) console.warn(`[WEBHOOK] chat ${chatId} ${webhookLabel(hook)} failed: ${result.error}`);
+    }).catch(e => console.error('[WEBHOOK] delivery crashed:', e.message));
+  }
+}
+
+/** Payload for a trade alert: the normalized trade plus the context the Telegram alert shows. */
+function tradeWebhookEvent(chatId, pool, tracked, trade, market, caption, vars) {
+  const { network, address } = parsePoolRef(pool);
+  return {
+    event: 'trade',
+    chatId,
+    pool: { ref: pool, address, network, dex: tracked.pool.dex || null, pair: tracked.pool.pair || null },
+    token: { address: tracked.token.address, symbol: tracked.token.symbol },
+    trade,
+    market: { mc: market.mc ?? null, mcLabel: market.mcLabel || null, liquidity: market.liquidity ?? null, volume24h: market.volume ?? null, change24h: market.change ?? null, holders: market.holders ?? null },
+    links: { tx: vars.tx_url, chart: vars.chart_url },
+    caption,
+    sentAt: new Date().toISOString()
+  };
+}
+
+bot.onText(/\/webhook(?:@\w+)?(?: (add|remove|list|test)(?: (\S+))?)?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const cfg = await getChat(chatId);
+  const opts = { message_thread_id: cfg.threadId || undefined };
+  const hooks = cfg.webhooks || [];
+  const [action, arg] = [match[1] || 'list', match[2]];
+
+  if (action === 'list') {
+    return bot.sendMessage(chatId,
+      `<b>Webhooks</b>\n${hooks.length ? hooks.map(h => escapeHtml(webhookLabel(h))).join('\n') : 'None.'}\n\n` +
+      `/webhook add https://… — Discord webhook URLs post embeds, anything else gets signed JSON\n/webhook test &lt;id&gt;\n/webhook remove &lt;id&gt;`,
+      { parse_mode: 'HTML', disable_web_page_preview: true, ...opts });
+  }
+  if (!(await requireAdmin(msg))) return;
+  if (!webhooksEnabled && action !== 'remove') {
+    return bot.sendMessage(chatId, 'ℹ️ Webhooks are disabled on this bot (the operator can enable them with WEBHOOKS_ENABLED=true).', { ...opts });
+  }
+
+  if (action === 'add') {
+    if (!arg || !/^https:\/\/\S+$/.test(arg)) return bot.sendMessage(chatId, 'Usage: /webhook add https://your-endpoint (HTTPS only)', { ...opts });
+    const problem = await webhookUrlProblem(arg);
+    if (problem) return bot.sendMessage(chatId, `❌ Can't use that URL: ${problem}.`, { ...opts });
+    if (hooks.length >= WEBHOOK_MAX_PER_CHAT) return bot.sendMessage(chatId, `❌ Up to ${WEBHOOK_MAX_PER_CHAT} webhooks per chat.`, { ...opts });
+    if (hooks.some(h => h.url === arg)) return bot.sendMessage(chatId, 'ℹ️ That URL is already a destination here.', { ...opts });
+
+    const isDiscord = /discord(?:app)?\.com\/api\/webhooks\//.test(arg);
+    if (isDiscord && !DISCORD_WEBHOOK_RE.test(arg)) return bot.sendMessage(chatId, '❌ That doesn’t look like a complete Discord webhook URL.', { ...opts });
+    const hook = {
+      id: hooks.reduce((max, h) => Math.max(max, h.id), 0) + 1,
+      type: isDiscord ? 'discord' : 'http',
+      url: arg,
+      secret: isDiscord ? null : crypto.randomBytes(24).toString('hex')
+    };
+    // the URL (and for Discord, the token in it) shouldn't stay readable in the group
+    if (msg.chat.type !== 'private') bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+
+    // the signing secret only ever goes out in private; no DM, no webhook
+    if (hook.secret) {
+      const secretText = `🔑 Signing secret for ${webhookLabel(hook)}:\n<code>${hook.secret}</code>\n\n` +
+        'Verify X-Buybot-Signature = "sha256=" + HMAC-SHA256(secret, X-Buybot-Timestamp + "." + raw body).';
+      const dmOk = msg.from && !msg.sender_chat &&
+        await bot.sendMessage(msg.from.id, secretText, { parse_mode: 'HTML' }).then(() => true, () => false);
+      if (!dmOk) {
+        return bot.sendMessage(chatId,
+          '❌ Webhook not added: I couldn’t DM you its signing secret. Start a private chat with me (not as an anonymous admin) and run /webhook add again.',
+          { ...opts });
+      }
+    }
+
+    cfg.webhooks = [...hooks, hook];
+    await setChat(chatId, cfg);
+    const text = `✅ Added ${webhookLabel(hook)}. Try /webhook test ${hook.id}` + (hook.secret ? '\n📬 Sent you the signing secret in private.' : '');
+    return bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...opts });
+  }
+
+  const hook = hooks.find(h => h.id === Number(arg));
+  if (!hook) return bot.sendMessage(chatId, '❌ No webhook with that id. See /webhook list.', { ...opts });
+
+  if (action === 'remove') {
+    cfg.webhooks = hooks.filter(h => h !== hook);
+    await setChat(chatId, cfg);
+    return bot.sendMessage(chatId, `🗑 Removed ${webhookLabel(hook)}.`, { ...opts });
+  }
+
+  // test: a sample alert, single attempt, result reported back
+  const tracked = cfg.tokens[0] ? { token: cfg.tokens[0], pool: cfg.tokens[0].pools[0] } : { token: { address: null, symbol: 'TOKEN' }, pool: { address: '0x0000000000000000000000000000000000000000' } };
+  const vars = sampleAlertVars(cfg);
+  const caption = renderTemplate(cfg.template || DEFAULT_TEMPLATE, vars);
+  const trade = {
+    id: 'test', tx: '0x' + '0'.repeat(64), priceUsd: 0.0123, amountUsd: 1234.56, amountToken: 100370.25, tradeType: 'buy',
+    buyer: '0x1234567890abcdef1234567890abcdef12345678', fromToken: null, toToken: tracked.token.address, ts: new Date().toISOString()
+  };
+  const event = { ...tradeWebhookEvent(chatId, trackedPoolRef(tracked.pool), tracked, trade, {}, caption, vars), event: 'test' };
+  const result = await deliverWebhook(hook, event, 0);
+  await bot.sendMessage(chatId, result.ok ? `✅ ${webhookLabel(hook)} answered ${result.status}.` : `❌ ${webhookLabel(hook)} failed: ${result.error}`, { ...opts });
+});
+
+// -------- Pool polling + broadcasting --------
+// Adaptive scheduler: each pool has its own interval, reset to POLL_ACTIVE_MS when a poll finds
+// trades and stretched ×1.5 per empty poll up to POLL_IDLE_MAX_MS, then shortened by how many
+// chats subscribe. Each tick (still one request through `queue`, skipped during cooldown) polls
+// the most overdue pool, and nothing when no pool is due, so idle sets cost less budget.
+const POLL_BACKOFF = 1.5;
+const pollState = new Map();   // pool -> { interval, lastPolledAt, lastTradeAt, chats }
+
+function pollInterval(st) {
+  const weight = 1 + Math.log2(Math.max(1, st.chats));   // 1 chat ×1, 4 chats ×3, 16 chats ×5
+  return Math.max(Number(POLL_ACTIVE_MS), st.interval / weight);
+}
+
+function nextPoolToPoll(now = Date.now()) {
+  let best = null;
+  let bestScore = 1;   // due once a full interval has passed
+  for (const [pool, st] of pollState) {
+    // pools on the RPC listener's network arrive as logs while it's healthy
+    if (swapListenerActive() && parsePoolRef(pool).network === rpcNetwork) continue;
+    const score = (now - st.lastPolledAt) / pollInterval(st);
+    if (score >= bestScore) {
+      best = pool;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function recordPoll(pool, tradeCount) {
+  const st = pollState.get(pool);
+  if (!st) return;
+  st.lastPolledAt = Date.now();
+  if (tradeCount > 0) {
+    st.lastTradeAt = st.lastPolledAt;
+    st.interval = Number(POLL_ACTIVE_MS);
+  } else {
+    st.interval = Math.min(Number(POLL_IDLE_MAX_MS), st.interval * POLL_BACKOFF);
+  }
+}
+
+// keeps existing pools' state; new pools start due
+async function refreshPoolSet() {
+  try {
+    const pools = await trackedPools();
+    const keep = new Set(pools);
+    const before = pollState.size;
+    for (const pool of pollState.keys()) if (!keep.has(pool)) pollState.delete(pool);
+    for (const pool of pools) {
+      const chats = (await chatsForPool(pool)).length;
+      const st = pollState.get(pool);
+      if (st) st.chats = chats;
+      else pollState.set(pool, { interval: Number(POLL_ACTIVE_MS), lastPolledAt: 0, lastTradeAt: 0, chats });
+    }
+    if (pollState.size !== before) console.log(`[INFO] polling ${pollState.size} pools`);
+    await syncSwapSubscription(pools);
+  } catch (e) {
+    console.error(`[ERROR] refreshPoolSet failed:`, e.message);
+  }
+}
+
+refreshPoolSet();
+setInterval(refreshPoolSet, 10000);
+
+// -------- Per-pool trade cursor --------
+// { ts: last block timestamp (ms), ids: recently seen trade ids, newest first }
+const CURSOR_MAX_IDS = 100;
+
+function tradeTime(trade) {
+  const t = Date.parse(trade?.ts);
+  return Number.isFinite(t) ? t : 0;
+}
+
+async function getCursor(pool) {
+  const key = `pool:${pool}:cursor`;
+  const raw = redis ? await redis.get(key) : memoryStore.get(key);
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+async function setCursor(pool, cursor) {
+  const key = `pool:${pool}:cursor`;
+  if (redis) await redis.set(key, JSON.stringify(cursor));
+  else memoryStore.set(key, cursor);
+}
+
+async function clearCursor(pool) {
+  const key = `pool:${pool}:cursor`;
+  await redis?.del(key, `pool:${pool}:lastTradeId`);
+  memoryStore.delete(key);
+}
+
+function advanceCursor(cursor, trades) {
+  const ts = trades.reduce((m, t) => Math.max(m, tradeTime(t)), cursor?.ts || 0);
+  const ids = [...new Set([...trades.map(t => t.id), ...(cursor?.ids || [])])].slice(0, CURSOR_MAX_IDS);
+  return { ts, ids };
+}
+
+/**
+ * Pages back through the pool's trades (growing limit) until the cursor is reached.
+ * Returns { trades, cursor } with unseen trades in chronological order,
+ * or null if a page could not be fetched (we keep the cursor and retry next tick).
+ */
+async function collectNewTrades(pool) {
+  const cursor = await getCursor(pool);
+
+  // first sight of this pool: only announce the latest trade, don't replay history
+  if (!cursor) {
+    const page = await fetchTradesForPool(pool);
+    if (!page) return null;
+    return { trades: page.slice(0, 1), cursor: advanceCursor(null, page) };
+  }
+
+  const known = new Set(cursor.ids || []);
+  let page = [];
+  for (const limit of TRADE_PAGE_LIMITS) {
+    page = await fetchTradesForPool(pool, limit);
+    if (!page) return null;
+    const reached = page.length < limit || page.some(t => known.has(t.id) || tradeTime(t) < cursor.ts);
+    if (reached) break;
+  }
+
+  const fresh = page
+    .filter(t => t.id && !known.has(t.id) && tradeTime(t) >= cursor.ts)
+    .reverse()
+    .sort((a, b) => tradeTime(a) - tradeTime(b));
+
+  return { trades: fresh, cursor: advanceCursor(cursor, page) };
+}
+
+function catchUpCap(cfg) {
+  const n = Number(cfg.catchUpMax ?? CATCHUP_MAX_PER_CHAT);
+  return Number.isFinite(n) && n > 0 ? n : 5;
+}
+
+// ===================================================================
+// ✅ Telegram send queue: per-chat FIFO lanes + token buckets + 429 retry
+// ===================================================================
+const MAX_SEND_ATTEMPTS = 5;
+
+function makeBucket(capacity, perMs) {
+  return { tokens: capacity, capacity, perMs, last: Date.now() };
+}
+
+// ms until a token is available (0 = now)
+function bucketWait(b) {
+  const now = Date.now();
+  b.tokens = Math.min(b.capacity, b.tokens + (now - b.last) * b.perMs);
+  b.last = now;
+  return b.tokens >= 1 ? 0 : Math.ceil((1 - b.tokens) / b.perMs);
+}
+
+const globalSendBucket = makeBucket(Number(TG_GLOBAL_PER_SEC), Number(TG_GLOBAL_PER_SEC) / 1000);
+const sendLanes = new Map();    // chatId -> { queue, busy, bucket, blockedUntil }
+
+function sendLane(chatId) {
+  let lane = sendLanes.get(chatId);
+  if (!lane) {
+    // negative ids are groups/channels (per-minute limit), positive are private chats (~1/s)
+    const perMin = Number(TG_GROUP_PER_MIN);
+    const bucket = chatId < 0 ? makeBucket(Math.min(5, perMin), perMin / 60000) : makeBucket(1, 1 / 1000);
+    lane = { queue: [], busy: false, bucket, blockedUntil: 0 };
+    sendLanes.set(chatId, lane);
+  }
+  return lane;
+}
+
+function retryAfterSeconds(e) {
+  const body = e?.response?.body;
+  if (e?.response?.statusCode !== 429 && body?.error_code !== 429) return null;
+  return Number(body?.parameters?.retry_after) || 5;
+}
+
+/**
+ * Folds queued trade alerts (jobs with a `summary`) into a single catch-up message
+ * once a chat's backlog exceeds TG_BACKLOG_MAX. The in-flight head job is left alone.
+ */
+function coalesceLane(chatId, lane) {
+  const head = lane.busy ? lane.queue.slice(0, 1) : [];
+  const rest = lane.queue.slice(head.length);
+  const merge = rest.filter(j => j.summary);
+  if (merge.length < 2) return;
+
+  const total = { alerts: 0, buys: 0, sells: 0, usd: 0 };
+  for (const j of merge) {
+    for (const k of Object.keys(total)) total[k] += j.summary[k] || 0;
+    j.resolve(false);
+  }
+
+  const parts = [];
+  if (total.buys) parts.push(`${total.buys} buy${total.buys === 1 ? '' : 's'}`);
+  if (total.sells) parts.push(`${total.sells} sell${total.sells === 1 ? '' : 's'}`);
+  const text = `⏩ ${total.alerts} alerts skipped while this chat was rate-limited: ${parts.join(', ')} ($${formatUSD(total.usd, 2)} total)`;
+
+  const summaryJob = makeSendJob(chatId, async (opts) => {
+    await bot.sendMessage(chatId, text, { disable_web_page_preview: true, ...opts });
+  }, total, () => {}, merge[0].route);
+  lane.queue = [...head, ...rest.filter(j => !j.summary), summaryJob];
+  incMetric('buybot_telegram_sends_total', { result: 'folded' }, merge.length);
+  console.warn(`[TG] chat ${chatId} backlog: folded ${merge.length} queued sends into one summary`);
+}
+
+function makeSendJob(chatId, sendFn, summary, resolve, route = null) {
+  return {
+    attempts: 0,
+    summary,
+    resolve,
+    route,
+    run: async () => {
+      const cfg = await getChat(chatId);
+      if (cfg.suspended) return false;   // skipped: nothing was sent
+      await sendFn(routeOpts(cfg, route?.type, route?.pool));
+      return true;
+    }
+  };
+}
+
+async function pumpLane(chatId, lane) {
+  if (lane.busy) return;
+  lane.busy = true;
+  try {
+    while (lane.queue.length) {
+      const wait = Math.max(lane.blockedUntil - Date.now(), bucketWait(lane.bucket), bucketWait(globalSendBucket));
+      if (wait > 0) {
+        await sleep(wait);
+        continue;
+      }
+      lane.bucket.tokens--;
+      globalSendBucket.tokens--;
+
+      const job = lane.queue[0];
+      try {
+        const sent = await job.run();
+        lane.queue.shift();
+        if (!sent) {
+          // no request went out: give the tokens back
+          lane.bucket.tokens++;
+          globalSendBucket.tokens++;
+        }
+        incMetric('buybot_telegram_sends_total', { result: sent ? 'ok' : 'skipped' });
+        job.resolve(sent);
+      } catch (e) {
+        const retryAfter = retryAfterSeconds(e);
+        if (retryAfter != null && ++job.attempts < MAX_SEND_ATTEMPTS) {
+          lane.blockedUntil = Date.now() + retryAfter * 1000 + jitter(250);
+          incMetric('buybot_telegram_retries_total');
+          console.warn(`[TG] 429 for chat ${chatId}, retrying in ${retryAfter}s (attempt ${job.attempts})`);
+          continue;
+        }
+
+        // the chat is gone or moved: drop its backlog instead of failing every alert
+        const migrateTo = migrateTarget(e);
+        const gone = migrateTo ? null : chatGoneReason(e);
+        if (migrateTo || gone) {
+          if (migrateTo) await migrateChat(chatId, migrateTo).catch(err => console.error('[CHAT] migrate failed:', err.message));
+          else await suspendChat(chatId, gone).catch(err => console.error('[CHAT] suspend failed:', err.message));
+          incMetric('buybot_telegram_sends_total', { result: 'dropped' }, lane.queue.length);
+          lane.queue.forEach(j => j.resolve(false));
+          lane.queue = [];
+          break;
+        }
+
+        lane.queue.shift();
+        console.error(`[ERROR] Telegram send failed for chat ${chatId}:`, e.message);
+        incMetric('buybot_telegram_sends_total', { result: 'failed' });
+        job.resolve(false);
+      }
+    }
+  } finally {
+    lane.busy = false;
+  }
+}
+
+/**
+ * Queues a send for the chat (ordered per chat, rate-limited, retried on 429).
+ * Resolves true once delivered, false if it failed, was folded into a summary or the chat is suspended.
+ * Pass `summary` ({ alerts, buys, sells, usd }) for trade alerts that may be coalesced, and
+ * `route` ({ type, pool }) to pick the forum topic; sendFn receives the resolved thread opts.
+ */
+function safeSend(chatId, sendFn, summary = null, route = null) {
+  return new Promise((resolve) => {
+    const lane = sendLane(chatId);
+    lane.queue.push(makeSendJob(chatId, sendFn, summary, resolve, route));
+    if (lane.queue.length > Number(TG_BACKLOG_MAX)) coalesceLane(chatId, lane);
+    pumpLane(chatId, lane).catch(e => console.error(`[TG] send lane ${chatId} crashed:`, e.message));
+  });
+}
+
+/**
+ * Token/pool market data for an alert (MC or FDV, liquidity, 24h volume/change, holders).
+ * Optional extras: returns {} when the lookups fail.
+ */
+async function fetchMarket(pool, trade) {
+  const market = {};
+  try {
+    const tokenAddr = tradedToken(trade);
+    if (tokenAddr) {
+      const { network, address } = parsePoolRef(pool);
+      const tokenUrl = dexUrl(`/networks/${network}/tokens/${tokenAddr.toLowerCase()}`);
+      const poolUrl  = dexUrl(`/networks/${network}/pools/${address}`);
+
+      const [tokenRes, poolRes] = await Promise.all([
+        onchainGet(tokenUrl, 60000, true),
+        onchainGet(poolUrl, 60000, true)
+      ]);
+
+      const tokenAttr = tokenRes?.data?.attributes || {};
+      const poolAttr = poolRes?.data?.attributes || {};
+      const price = tradedTokenPrice(trade) || Number(tokenAttr.price_usd || 0);
+
+      let mcLabel = 'MC';
+      let mcValue = Number(tokenAttr.market_cap_usd ?? 0);
+      if (!mcValue && price > 0) {
+        const circ = adjustSupply(tokenAttr.circulating_supply, tokenAttr.decimals ?? 18);
+        if (circ > 0) mcValue = circ * price;
+        else if (tokenAttr.fdv_usd) {
+          mcValue = Number(tokenAttr.fdv_usd);
+          mcLabel = 'FDV';
+        } else {
+          const total = adjustSupply(tokenAttr.total_supply, tokenAttr.decimals ?? 18);
+          if (total > 0) {
+            mcValue = total * price;
+            mcLabel = 'FDV';
+          }
+        }
+      }
+
+      if (mcValue && mcValue > 0) Object.assign(market, { mcLabel, mc: mcValue });
+      if (poolAttr.reserve_in_usd) market.liquidity = Number(poolAttr.reserve_in_usd);
+      if (poolAttr.volume_usd_24h) market.volume = Number(poolAttr.volume_usd_24h);
+      if (tokenAttr.price_percent_change_24h != null) {
+        const pct = Number(tokenAttr.price_percent_change_24h);
+        if (Number.isFinite(pct)) market.change = pct;
+      }
+      if (tokenAttr.unique_wallet_count) market.holders = tokenAttr.unique_wallet_count;
+    }
+  } catch (e) {
+    // silent
+  }
+  return market;
+}
+
+/**
+ * batch (optional) tracks per-chat alert counts across one poll so a backlog
+ * is capped at catchUpCap(cfg); the overflow is summarised by postCatchUpSummary.
+ */
+async function broadcastTrade(pool, trade, batch = null) {
+  // once per trade (not per chat, not per instance) so the holder record isn't double-counted
+  let position = '';
+  if (await claimOnce(`${pool}:${trade.id}`)) {
+    position = await holderPosition(trade, parsePoolRef(pool).network).catch((e) => {
+      console.warn('[HOLDERS] position lookup failed:', e.message);
+      return '';
+    });
+    await logTrade(pool, trade).catch(e => console.warn('[REPORT] trade log write failed:', e.message));
+  }
+
+  // ✅ extra data is optional: fetched at most once per trade, and not at all during cooldown
+  let marketData = null;
+  // (while cooling / out of budget onchainGet serves the last cached market data instead)
+  const loadMarket = async () => (marketData ??= await fetchMarket(pool, trade));
+  const priceChanges = new Map();   // window -> % change, shared by every chat's milestone rules
+  const milestoneData = {
+    market: loadMarket,
+    change: async (windowKey) => {
+      if (!priceChanges.has(windowKey)) priceChanges.set(windowKey, await priceChangeOver(pool, windowKey, tradedTokenPrice(trade)));
+      return priceChanges.get(windowKey);
+    }
+  };
+
+  // only chats subscribed to this pool (index), not a scan of every config
+  for (const chatId of await chatsForPool(pool)) {
+    const cfg = await getChat(chatId);
+    const tracked = findPool(cfg, pool);
+    if (!tracked) continue;
+    // atomic across instances/sources: the first claim of (pool, trade, chat) handles it
+    if (!(await claimOnce(`${pool}:${trade.id}:${chatId}`))) continue;
+
+    // competition entries don't depend on the chat's alert filters
+    let entered = false;
+    if (cfg.activeCompetition) {
+      try {
+        const entry = await recordCompetitionTrade(chatId, cfg.activeCompetition, trade);
+        if (entry.changed) await setChat(chatId, cfg);
+        entered = entry.entered;
+        if (entered) liveBoardDirty.add(chatId);
+      } catch (e) {
+        console.error(`[COMP] ledger write failed for chat ${chatId}:`, e.message);
+      }
+    }
+
+    // milestones are about the token, not this trade, so they ignore the alert filters too
+    if (cfg.milestones?.length) {
+      try {
+        if (await checkMilestones(chatId, cfg, pool, tracked, trade, milestoneData)) await setChat(chatId, cfg);
+      } catch (e) {
+        console.error(`[MILESTONE] check failed for chat ${chatId}:`, e.message);
+      }
+    }
+
+    if (trade.tradeType === 'sell' && cfg.showSells === false) continue;
+
+    const usd = Number(trade.amountUsd || 0);
+    if (usd < (cfg.minBuyUsd || 0)) continue;
+
+    if (batch) {
+      const sent = batch.sent.get(chatId) || 0;
+      if (sent >= catchUpCap(cfg)) {
+        const skipped = batch.skipped.get(chatId) || { buys: 0, sells: 0, usd: 0 };
+        if (trade.tradeType === 'sell') skipped.sells++;
+        else skipped.buys++;
+        skipped.usd += usd;
+        batch.skipped.set(chatId, skipped);
+        continue;
+      }
+      batch.sent.set(chatId, sent + 1);
+    }
+
+    const market = { position, ...(await loadMarket()) };
+
+    const vars = alertVars(cfg, pool, tracked, trade, market);
+    const caption = renderTemplate(cfg.template || DEFAULT_TEMPLATE, vars);
+    const { tx_url: txUrl, chart_url: chart } = vars;
+
+    if (cfg.webhooks?.length) dispatchWebhooks(chatId, cfg, tradeWebhookEvent(chatId, pool, tracked, trade, market, caption, vars));
+
+    const replyMarkup = {
+      inline_keyboard: [[{ text: '📈 Chart', url: chart }, { text: '🔎 TX', url: txUrl }]]
+    };
+
+    const isSell = trade.tradeType === 'sell';
+    const route = { type: isSell ? 'sell' : 'buy', pool };
+    const comp = cfg.activeCompetition;
+    const rankReply = entered && !isSell && compBoardSettings(cfg).ranks
+      ? await compRank(chatId, comp, (trade.buyer || trade.tx).toLowerCase())
+        .then(rank => rankText(comp, rank))
+        .catch(() => null)
+      : null;
+
+    // queued, not awaited: a rate-limited chat must not hold up the others
+    let alertMsgId = null;
+    safeSend(chatId, async (opts) => {
+      const sent = await safeSendVideo(chatId, cfg, caption, replyMarkup, opts.message_thread_id) ||
+        await bot.sendMessage(chatId, caption, {
+          parse_mode: 'HTML',
+          disable_web_page_preview: true,
+          reply_markup: replyMarkup,
+          ...opts
+        });
+      alertMsgId = sent.message_id;
+    }, { alerts: 1, buys: isSell ? 0 : 1, sells: isSell ? 1 : 0, usd }, route)
+      .then((ok) => {
+        if (!ok) return;
+        if (rankReply) {
+          safeSend(chatId, (opts) => bot.sendMessage(chatId, rankReply, {
+            reply_to_message_id: alertMsgId,
+            allow_sending_without_reply: true,
+            ...opts
+          }), null, route);
+        }
+        const t = tradeTime(trade);
+        if (t) observeMetric('buybot_alert_latency_seconds', { pool }, Math.max(0, (Date.now() - t) / 1000));
+        return recordAlert(chatId, { kind: isSell ? 'sell' : 'buy', symbol: tracked.token.symbol, usd, text: trade.buyer || '' });
+      })
+      .catch(e => console.warn('[DASH] alert log write failed:', e.message));
+  }
+}
+
+async function postCatchUpSummary(pool, batch) {
+  for (const [chatId, skipped] of batch.skipped) {
+    const cfg = await getChat(chatId);
+    const symbol = findPool(cfg, pool)?.token.symbol || 'TOKEN';
+    const parts = [];
+    if (skipped.buys) parts.push(`+${skipped.buys} more buy${skipped.buys === 1 ? '' : 's'}`);
+    if (skipped.sells) parts.push(`+${skipped.sells} more sell${skipped.sells === 1 ? '' : 's'}`);
+    const text = `⏩ ${parts.join(', ')} of <b>${escapeHtml(symbol)}</b> ($${formatUSD(skipped.usd, 2)} total)`;
+
+    safeSend(chatId, async (opts) => {
+      await bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...opts });
+    }, null, { type: skipped.buys ? 'buy' : 'sell', pool });
+  }
+}
+
+let lastPollAt = 0;   // last successful GeckoTerminal poll (readiness + metrics)
+
+async function tickOnce() {
+  if (!isLeader() || cooling() || budgetExhausted()) return;
+  const pool = nextPoolToPoll();
+  if (!pool) return;
+
+  const result = await collectNewTrades(pool);
+  incMetric('buybot_polls_total', { result: result ? 'ok' : 'failed' });
+  // a failed poll still counts as an (empty) attempt so one broken pool can't hog every tick
+  recordPoll(pool, result?.trades.length || 0);
+  if (!result) return;
+  lastPollAt = Date.now();
+
+  // persist first so a crash mid-broadcast can't replay the same trades
+  await setCursor(pool, result.cursor);
+  if (!result.trades.length) return;
+
+  const batch = { sent: new Map(), skipped: new Map() };
+  for (const trade of result.trades) {
+    await broadcastTrade(pool, trade, batch);
+  }
+  await postCatchUpSummary(pool, batch);
+}
+
+// ✅ IMPORTANT: Do NOT schedule at 100ms anymore (it creates a backlog).
+const scheduleMs = Number(SCHED_INTERVAL_MS || GECKO_TICK_MS || POLL_INTERVAL_MS || 3000);
+setInterval(() => queue.add(tickOnce).catch(console.error), scheduleMs);
+
+startInstance();
+
+// -------- /metrics + readiness --------
+// Polling counts as stalled when nothing succeeded for this long while pools are tracked and
+// GeckoTerminal isn't cooling down (the RPC listener replaces polling while it's healthy).
+const POLL_STALL_MS = Math.max(120000, scheduleMs * 20, Number(POLL_IDLE_MAX_MS) * 2);
+const startedAt = Date.now();
+
+app.get('/metrics', async (_, res) => {
+  setMetric('buybot_leader', {}, isLeader() ? 1 : 0);
+  setMetric('buybot_gecko_429_streak', {}, streak429);
+  setMetric('buybot_gecko_cooldown_seconds', {}, Math.max(0, (cooldownUntil - Date.now()) / 1000));
+  setMetric('buybot_poll_queue_size', {}, queue.size);
+  setMetric('buybot_poll_queue_pending', {}, queue.pending);
+  setMetric('buybot_last_poll_timestamp_seconds', {}, Math.floor(lastPollAt / 1000));
+  metricDefs.get('buybot_poll_interval_seconds').values.clear();   // drop untracked pools
+  for (const [pool, st] of pollState) setMetric('buybot_poll_interval_seconds', { pool }, pollInterval(st) / 1000);
+  setMetric('buybot_telegram_queue_size', {}, [...sendLanes.values()].reduce((n, lane) => n + lane.queue.length, 0));
+  setMetric('buybot_webhook_queue_size', {}, webhookQueue.size);
+  try {
+    setMetric('buybot_chats', {}, (await allChatIds()).length);
+    setMetric('buybot_pools', {}, (await trackedPools()).length);
+  } catch (e) {
+    console.warn('[METRICS] chat/pool counts unavailable:', e.message);
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/healthz', async (_, res) => {
+  const checks = {};
+
+  if (!redis) checks.redis = 'disabled';
+  else {
+    try {
+      await Promise.race([redis.ping(), sleep(2000).then(() => { throw new Error('timeout'); })]);
+      checks.redis = 'ok';
+    } catch (e) {
+      checks.redis = `down: ${e.message}`;
+    }
+  }
+
+  const pools = pollState.size;
+  const sinceStart = Date.now() - startedAt;
+  const sincePoll = lastPollAt ? Date.now() - lastPollAt : null;
+  if (!isLeader()) checks.polling = 'standby (not leader)';
+  else if (swapListenerActive() && [...pollState.keys()].every(p => parsePoolRef(p).network === rpcNetwork)) checks.polling = 'rpc listener';
+  else if (!pools) checks.polling = 'idle (no pools)';
+  else if (cooling() || budgetExhausted()) checks.polling = 'rate-limit cooldown';
+  else if ((sincePoll ?? sinceStart) > POLL_STALL_MS) checks.polling = `stalled: last poll ${sincePoll == null ? 'never' : `${Math.round(sincePoll / 1000)}s ago`}`;
+  else checks.polling = 'ok';
+
+  const ready = !/^(down|stalled)/.test(checks.redis) && !checks.polling.startsWith('stalled');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'degraded', role: isLeader() ? 'leader' : 'follower', instance: INSTANCE_ID, ...checks, pools, lastPollAgoSec: sincePoll == null ? null : Math.round(sincePoll / 1000) });
+});
 
-console.log('Buy bot started on network:', GECKO_NETWORK);
+console.log('Buy bot started, default network:', GECKO_NETWORK, `(${Object.keys(NETWORKS).length} networks known)`);
+console.log('Trade source:', useRpcSource ? `rpc (${WS_RPC_URL ? 'websocket' : 'http'})` : 'geckoterminal');
 console.log('Onchain base:', ONCHAIN_BASE);